@@ -2,7 +2,9 @@
 
 /**
  * CLI entry point for the Configuration Validator & Linter
- * Usage: node src/cli.js validate <filepath> [--schema <schema-name>] [--json]
+ * Usage: node src/cli.js validate <filepath|-> [--schema <schema-name>] [--json]
+ *        node src/cli.js resolve <filepath|-> [--emit json|env] [--strip-unknown]
+ *        node src/cli.js infer <filepath...>
  */
 
 const path = require('path');
@@ -10,6 +12,11 @@ const parser = require('./parser');
 const validator = require('./validator');
 const reporter = require('./reporter');
 const schema = require('./schema');
+const infer = require('./infer');
+const dotenv = require('./dotenv');
+const lintrc = require('./lintrc');
+const manifest = require('./manifest');
+const profiles = require('./profiles');
 
 /**
  * Print usage information
@@ -20,11 +27,36 @@ Configuration Validator & Linter
 
 Usage:
   node src/cli.js validate <filepath> [options]
+  node src/cli.js validate - [options]    (read from standard input)
+  node src/cli.js resolve <filepath> [options]
+                                          (print the validated config with defaults applied)
+  node src/cli.js infer <filepath...> [options]
+                                          (print a schema inferred from sample files)
 
 Options:
-  --schema <name>     Schema to use: application, database, auth (default: application)
+  --schema <name>     Schema to use: application, database, auth, a schema from the
+                      schema directory, or a path to a .json/.js schema file
+                      (default: application; none for docker-compose files and
+                      Kubernetes manifests, whose environments are still checked)
+  --schema-dir <dir>  Directory of named project schemas (default: ./schemas)
+  --env <name>        Environment, e.g. production: applies the schema's overlay and the
+                      strictness profile (default: detected from the config's
+                      environment, env, NODE_ENV or APP_ENV key)
   --json              Output results as JSON
   --detailed          Show detailed report
+  --format <type>     File format: json, jsonc, json5, env, yaml, toml, ini, properties
+                      (default: detected from the file name or content)
+  --lenient           Allow comments and trailing commas in .json files
+  --env-file <path>   Load variables for .env interpolation (repeatable)
+  --process-env       Resolve .env references from the process environment
+  --coerce            Convert string values to the number, boolean or array type
+                      of their schema rule (default for .env input)
+  --no-coerce         Check string values as written, even in .env input
+  --emit <type>       Output of resolve: json or env (default: json)
+  --strip-unknown     Leave keys not defined by the schema out of resolve output
+  --config <path>     Lint configuration file (default: the nearest .configlintrc.json,
+                      .configlintrc or package.json "configlint" key)
+  --no-config         Ignore lint configuration files
   --help              Show this help message
 
 Examples:
@@ -32,6 +64,15 @@ Examples:
   node src/cli.js validate .env --schema application
   node src/cli.js validate config.json --json
   node src/cli.js validate config.json --detailed
+  node src/cli.js validate config.yaml --schema database
+  node src/cli.js validate config.json --schema ./schemas/payments.json
+  node src/cli.js validate config.prod.json --schema app --env production
+  node src/cli.js validate settings.json --lenient
+  node src/cli.js validate .env.local --env-file .env --process-env
+  node src/cli.js validate ingress/.env --config ci/.configlintrc.json
+  generate-config | node src/cli.js validate - --format yaml
+  node src/cli.js resolve .env --schema application --emit json > config.json
+  node src/cli.js infer config.dev.json config.prod.json > schema.json
 `);
 }
 
@@ -43,9 +84,21 @@ function parseArguments(args) {
   const result = {
     command: null,
     filePath: null,
-    schemaName: 'application',
+    files: [],
+    schemaName: null,
+    schemaDir: 'schemas',
+    env: null,
     json: false,
     detailed: false,
+    format: null,
+    lenient: false,
+    envFiles: [],
+    processEnv: false,
+    coerce: null,
+    emit: 'json',
+    stripUnknown: false,
+    config: null,
+    useConfig: true,
     help: false,
   };
 
@@ -63,6 +116,7 @@ function parseArguments(args) {
 
   if (args[i]) {
     result.filePath = args[i];
+    result.files.push(args[i]);
     i++;
   }
 
@@ -73,15 +127,52 @@ function parseArguments(args) {
     if (arg === '--schema' && args[i + 1]) {
       result.schemaName = args[i + 1];
       i += 2;
+    } else if (arg === '--schema-dir' && args[i + 1]) {
+      result.schemaDir = args[i + 1];
+      i += 2;
+    } else if (arg === '--env' && args[i + 1]) {
+      result.env = args[i + 1];
+      i += 2;
     } else if (arg === '--json') {
       result.json = true;
       i++;
     } else if (arg === '--detailed') {
       result.detailed = true;
       i++;
+    } else if (arg === '--format' && args[i + 1]) {
+      result.format = args[i + 1];
+      i += 2;
+    } else if (arg === '--lenient') {
+      result.lenient = true;
+      i++;
+    } else if (arg === '--env-file' && args[i + 1]) {
+      result.envFiles.push(args[i + 1]);
+      i += 2;
+    } else if (arg === '--process-env') {
+      result.processEnv = true;
+      i++;
+    } else if (arg === '--emit' && args[i + 1]) {
+      result.emit = args[i + 1];
+      i += 2;
+    } else if (arg === '--strip-unknown') {
+      result.stripUnknown = true;
+      i++;
+    } else if (arg === '--config' && args[i + 1]) {
+      result.config = args[i + 1];
+      i += 2;
+    } else if (arg === '--no-config') {
+      result.useConfig = false;
+      i++;
+    } else if (arg === '--coerce' || arg === '--no-coerce') {
+      result.coerce = arg === '--coerce';
+      i++;
     } else if (arg === '--help' || arg === '-h') {
       result.help = true;
       i++;
+    } else if (!arg.startsWith('-')) {
+      // Further sample files for `infer`
+      result.files.push(arg);
+      i++;
     } else {
       i++;
     }
@@ -102,6 +193,234 @@ function resolveFilePath(filePath) {
   return path.resolve(process.cwd(), filePath);
 }
 
+/**
+ * Read all of standard input
+ * @returns {Promise<string>}
+ */
+function readStdin() {
+  return new Promise((resolve, reject) => {
+    let content = '';
+    process.stdin.setEncoding('utf-8');
+    process.stdin.on('data', (chunk) => {
+      content += chunk;
+    });
+    process.stdin.on('end', () => resolve(content));
+    process.stdin.on('error', reject);
+  });
+}
+
+/**
+ * Parse a configuration named on the command line (`-` for stdin)
+ * @param {string} filePath - File path, or `-` for standard input
+ * @param {object} options - Parser options
+ * @returns {Promise<object>} Parse result (see parser.parseConfigFile)
+ */
+async function parseInput(filePath, options) {
+  if (filePath !== '-') {
+    return parser.parseConfigFile(resolveFilePath(filePath), options);
+  }
+
+  const content = await readStdin();
+  const format = options.format || parser.detectFormat(content);
+  if (!format) {
+    throw new Error(
+      'Could not detect the format of standard input. Use --format to specify it.'
+    );
+  }
+  return parser.parseConfigContent(content, format, options);
+}
+
+/**
+ * Load the variables of --env-file files for .env interpolation
+ *
+ * Files are loaded in order; each may reference the variables of the
+ * files before it, and later files override earlier ones.
+ * @param {string[]} envFiles - File paths
+ * @param {object} [processEnv] - Process environment, if enabled
+ * @returns {Promise<object>}
+ */
+async function loadVariables(envFiles, processEnv) {
+  const variables = {};
+  for (const envFile of envFiles) {
+    const { expanded } = await parser.parseConfigFile(resolveFilePath(envFile), {
+      variables,
+      processEnv,
+    });
+    Object.assign(variables, expanded[0]);
+  }
+  return variables;
+}
+
+/**
+ * Load the lint configuration that applies to the configuration named on
+ * the command line
+ *
+ * Without --config, the lint configuration is looked up from the directory
+ * of the file (the working directory for standard input) upwards.
+ * @param {object} args - Parsed command line arguments
+ * @returns {{ruleSettings: object, customRules: array}} Rule settings (see
+ *   lintrc.resolveRuleSettings) and the rules of its rule packs, empty
+ *   without a lint configuration
+ */
+function loadLintSettings(args) {
+  const isStdin = args.filePath === '-';
+  let configPath = null;
+  if (args.config) {
+    configPath = resolveFilePath(args.config);
+  } else if (args.useConfig) {
+    configPath = lintrc.findLintConfig(
+      isStdin ? process.cwd() : path.dirname(resolveFilePath(args.filePath))
+    );
+  }
+
+  if (!configPath) {
+    return { ruleSettings: {}, customRules: [] };
+  }
+  const lintConfig = lintrc.loadLintConfig(configPath);
+  return {
+    ruleSettings: lintrc.resolveRuleSettings(
+      lintConfig,
+      isStdin ? undefined : resolveFilePath(args.filePath)
+    ),
+    customRules: lintConfig.customRules,
+  };
+}
+
+/**
+ * Parse and validate the configuration named on the command line
+ * @param {object} args - Parsed command line arguments
+ * @returns {Promise<{results: array, result: object}>} Validation result of
+ *   each document, and the merged result
+ */
+async function validateInput(args) {
+  const processEnv = args.processEnv ? process.env : undefined;
+  const parsed = await parseInput(args.filePath, {
+    format: args.format,
+    lenient: args.lenient,
+    variables: await loadVariables(args.envFiles, processEnv),
+    processEnv,
+  });
+  const { type, documents, expanded, locations, issues } = parsed;
+
+  // Get the schema, with the overlay of --env or of the environment each
+  // document names (see profiles.detectEnvironment). Deployment manifests
+  // only get the security checks of their environments unless a schema is given.
+  const filePath = args.filePath === '-' ? null : resolveFilePath(args.filePath);
+  const schemas = new Map();
+  const schemaFor = (index) => {
+    if (args.schemaName === null && manifest.isDeploymentManifest(documents[index], filePath)) {
+      return {};
+    }
+    const detectedEnv = args.env ? null : profiles.detectEnvironment(expanded[index]);
+    if (!schemas.has(detectedEnv)) {
+      schemas.set(
+        detectedEnv,
+        schema.resolveSchema(args.schemaName || 'application', {
+          schemaDir: resolveFilePath(args.schemaDir),
+          env: args.env || undefined,
+          detectedEnv: detectedEnv || undefined,
+        })
+      );
+    }
+    return schemas.get(detectedEnv);
+  };
+
+  // Every .env value is a string: compare them with typed rules after conversion
+  const coerceValues = args.coerce === null ? type === 'env' : args.coerce;
+  const { ruleSettings, customRules } = loadLintSettings(args);
+  const file = { path: filePath, type };
+
+  // Validate configuration (each document of a YAML stream separately)
+  const results = documents.map((document, index) =>
+    validator.validateConfiguration(document, schemaFor(index), {
+      parseIssues: index === 0 ? issues : [],
+      locations: locations[index],
+      expanded: expanded[index],
+      coerce: coerceValues,
+      stripUnknown: args.stripUnknown,
+      ruleSettings,
+      customRules,
+      file,
+      environment: args.env || undefined,
+    })
+  );
+  const result = validator.applySuppressions(
+    validator.mergeDocumentResults(results),
+    parsed.suppressions,
+    { ruleSettings, customRules }
+  );
+  return { results, result };
+}
+
+/**
+ * Validate the configuration named on the command line and print it
+ * resolved (see validator.validateConfiguration) as JSON or .env
+ *
+ * Only the configuration goes to standard output; issues are reported on
+ * standard error, and nothing is printed if the configuration is invalid.
+ * @param {object} args - Parsed command line arguments
+ * @returns {Promise<void>}
+ */
+async function runResolve(args) {
+  if (!['json', 'env'].includes(args.emit)) {
+    throw new Error(`Unknown output format: ${args.emit}. Use json or env.`);
+  }
+
+  const displayName = args.filePath === '-' ? '<stdin>' : args.filePath;
+  const { results, result } = await validateInput(args);
+  if (result.issues.length > 0) {
+    console.error(reporter.reportValidationWithFile(result, displayName));
+  }
+  if (!result.isValid) {
+    process.exit(1);
+  }
+
+  const configs = results.map((documentResult) => documentResult.config);
+  if (args.emit === 'env') {
+    if (configs.length > 1) {
+      throw new Error(`Cannot write the ${configs.length} documents of ${displayName} as .env`);
+    }
+    process.stdout.write(dotenv.stringifyEnv(configs[0]));
+  } else {
+    console.log(JSON.stringify(configs.length > 1 ? configs : configs[0], null, 2));
+  }
+  process.exit(0);
+}
+
+/**
+ * Print a schema inferred from the sample files named on the command line
+ *
+ * .env samples are read with type coercion (unless --no-coerce is given),
+ * so `PORT=8080` infers a number like it is validated.
+ * @param {object} args - Parsed command line arguments
+ * @returns {Promise<void>}
+ */
+async function runInfer(args) {
+  const processEnv = args.processEnv ? process.env : undefined;
+  const variables = await loadVariables(args.envFiles, processEnv);
+  const samples = [];
+  const types = [];
+
+  for (const filePath of args.files) {
+    const { type, expanded } = await parseInput(filePath, {
+      format: args.format,
+      lenient: args.lenient,
+      variables,
+      processEnv,
+    });
+    samples.push(...expanded);
+    types.push(type);
+  }
+
+  const inferred = infer.inferSchema(samples, {
+    coerce: args.coerce === null ? types.every((type) => type === 'env') : args.coerce,
+  });
+  const names = args.files.map((filePath) => (filePath === '-' ? '<stdin>' : filePath));
+  console.log(
+    JSON.stringify({ description: `Inferred from ${names.join(', ')}`, ...inferred }, null, 2)
+  );
+}
+
 /**
  * Main CLI handler
  */
@@ -115,7 +434,7 @@ async function main() {
   }
 
   // Check if command is valid
-  if (args.command !== 'validate') {
+  if (!['validate', 'resolve', 'infer'].includes(args.command)) {
     console.error(`Error: Unknown command "${args.command}"`);
     console.error('Use "node src/cli.js --help" for usage information');
     process.exit(1);
@@ -128,24 +447,31 @@ async function main() {
     process.exit(1);
   }
 
-  try {
-    // Resolve file path
-    const absolutePath = resolveFilePath(args.filePath);
-
-    // Parse configuration file
-    console.log(`Reading configuration from: ${args.filePath}`);
-    const { data, type } = await parser.parseConfigFile(absolutePath);
-
-    // Get schema
-    let selectedSchema = schema.getSchemaByName(args.schemaName);
-    if (!selectedSchema) {
-      console.error(`Error: Unknown schema "${args.schemaName}"`);
-      console.error('Available schemas: application, database, auth');
+  if (args.command === 'infer') {
+    try {
+      await runInfer(args);
+      process.exit(0);
+    } catch (error) {
+      console.error(`Error: ${error.message}`);
       process.exit(1);
     }
+  }
+
+  if (args.command === 'resolve') {
+    try {
+      await runResolve(args);
+    } catch (error) {
+      console.error(`Error: ${error.message}`);
+      process.exit(1);
+    }
+  }
+
+  try {
+    const displayName = args.filePath === '-' ? '<stdin>' : args.filePath;
 
-    // Validate configuration
-    const result = validator.validateConfiguration(data, selectedSchema);
+    // Parse and validate configuration file
+    console.log(`Reading configuration from: ${displayName}`);
+    const { result } = await validateInput(args);
 
     // Report results
     if (args.json) {
@@ -153,7 +479,7 @@ async function main() {
     } else if (args.detailed) {
       console.log(reporter.reportDetailed(result));
     } else {
-      console.log(reporter.reportValidationWithFile(result, args.filePath));
+      console.log(reporter.reportValidationWithFile(result, displayName));
     }
 
     // Exit with appropriate code
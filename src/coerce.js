@@ -0,0 +1,112 @@
+/**
+ * Type coercion of string values (e.g. from .env files) to schema types
+ */
+
+const NUMBER_PATTERN = /^[+-]?(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?$/;
+
+const BOOLEAN_VALUES = {
+  true: true,
+  false: false,
+  1: true,
+  0: false,
+  yes: true,
+  no: false,
+};
+
+/**
+ * Convert a string to a number
+ * @param {string} text - Value text
+ * @returns {{value: number}|{error: string}}
+ */
+function toNumber(text) {
+  const trimmed = text.trim();
+  if (!NUMBER_PATTERN.test(trimmed)) {
+    return { error: `Cannot convert ${JSON.stringify(text)} to number` };
+  }
+  return { value: Number(trimmed) };
+}
+
+/**
+ * Convert a string to a boolean
+ * @param {string} text - Value text
+ * @returns {{value: boolean}|{error: string}}
+ */
+function toBoolean(text) {
+  const normalized = text.trim().toLowerCase();
+  if (!Object.prototype.hasOwnProperty.call(BOOLEAN_VALUES, normalized)) {
+    return {
+      error:
+        `Cannot convert ${JSON.stringify(text)} to boolean ` +
+        '(expected true, false, 1, 0, yes or no)',
+    };
+  }
+  return { value: BOOLEAN_VALUES[normalized] };
+}
+
+/**
+ * Convert a string to an array: a JSON array (`["a", "b"]`) or a
+ * comma-separated list (`a, b`). List items are coerced to the type of
+ * the `items` rule.
+ * @param {string} text - Value text
+ * @param {object} rule - Array rule
+ * @returns {{value: array}|{error: string}}
+ */
+function toArray(text, rule) {
+  const trimmed = text.trim();
+  let items;
+
+  if (trimmed.startsWith('[')) {
+    try {
+      items = JSON.parse(trimmed);
+    } catch (error) {
+      return { error: `Cannot convert ${JSON.stringify(text)} to array: invalid JSON array` };
+    }
+    if (!Array.isArray(items)) {
+      return { error: `Cannot convert ${JSON.stringify(text)} to array: invalid JSON array` };
+    }
+  } else {
+    items = trimmed === '' ? [] : trimmed.split(',').map((item) => item.trim());
+  }
+
+  if (!rule.items) {
+    return { value: items };
+  }
+
+  const values = [];
+  for (let i = 0; i < items.length; i++) {
+    const coerced = coerceValue(items[i], rule.items);
+    if (coerced.error) {
+      return { error: `Item ${i}: ${coerced.error}` };
+    }
+    values.push(coerced.value);
+  }
+  return { value: values };
+}
+
+const CONVERTERS = {
+  number: toNumber,
+  boolean: toBoolean,
+  array: toArray,
+};
+
+/**
+ * Coerce a value to the type of a rule
+ *
+ * Only strings are converted, and only to number, boolean and array types;
+ * other values are returned unchanged for the type check to judge.
+ * @param {any} value - Value to coerce
+ * @param {object} rule - Rule definition
+ * @returns {{value: any}|{error: string}} Coerced value, or an error if the
+ *   string cannot be converted
+ */
+function coerceValue(value, rule) {
+  const convert = CONVERTERS[rule.type];
+  if (typeof value !== 'string' || !convert) {
+    return { value };
+  }
+  return convert(value, rule);
+}
+
+module.exports = {
+  coerceValue,
+};
@@ -0,0 +1,287 @@
+/**
+ * Tokenizer for .env files
+ *
+ * Follows the grammar shared by the common dotenv loaders:
+ * - optional `export ` prefix
+ * - whitespace around `=` is ignored
+ * - unquoted values end at a `#` preceded by whitespace and are trimmed
+ * - single-quoted and backtick-quoted values are literal
+ * - double-quoted values expand `\n`, `\r`, `\t`, `\"` and `\\`
+ * - quoted values may span several lines (e.g. PEM keys)
+ *
+ * Malformed lines do not abort parsing; they are returned as issues.
+ * Variable references are left as written (see interpolate.js).
+ */
+
+const utils = require('./utils');
+
+const KEY_PATTERN = /^[A-Za-z_][A-Za-z0-9_.-]*$/;
+
+const DOUBLE_QUOTE_ESCAPES = {
+  n: '\n',
+  r: '\r',
+  t: '\t',
+  '"': '"',
+  '\\': '\\',
+};
+
+/**
+ * Create a lint issue for a malformed line
+ * @param {string} key - Key (or raw line text when no key could be read)
+ * @param {string} message - Issue description
+ * @param {string} rule - Rule id
+ * @param {number} line - 1-based line number
+ * @param {number} column - 1-based column of the key
+ * @returns {object}
+ */
+function createLineIssue(key, message, rule, line, column) {
+  return {
+    key,
+    severity: 'ERROR',
+    message,
+    rule,
+    line,
+    column,
+    endLine: line,
+  };
+}
+
+/**
+ * Expand the escape sequences of a double-quoted value
+ * @param {string} value - Raw text between the quotes
+ * @returns {string}
+ */
+function unescapeDoubleQuoted(value) {
+  return value.replace(/\\(.)/g, (match, ch) =>
+    Object.prototype.hasOwnProperty.call(DOUBLE_QUOTE_ESCAPES, ch)
+      ? DOUBLE_QUOTE_ESCAPES[ch]
+      : match
+  );
+}
+
+/**
+ * Find the closing quote of a quoted value
+ * @param {string} src - Source text
+ * @param {number} start - Index just after the opening quote
+ * @param {string} quote - Quote character
+ * @returns {number} Index of the closing quote, or -1
+ */
+function findClosingQuote(src, start, quote) {
+  for (let i = start; i < src.length; i++) {
+    if (src[i] === '\\' && quote === '"') {
+      i++;
+    } else if (src[i] === quote) {
+      return i;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Parse the content of a .env file
+ * @param {string} content - File content
+ * @returns {{data: object, issues: array, locations: object, literals: string[],
+ *   comments: array}} Parsed variables, lint issues for malformed lines, a map of
+ *   key to {line, column, endLine, endColumn, valueLine, valueColumn}, the keys
+ *   whose values are single-quoted (and therefore never interpolated) and the
+ *   comments as {text, line, column}, `text` starting with `#`
+ */
+function parseEnv(content) {
+  const src = content.replace(/\r\n?/g, '\n').replace(/^\uFEFF/, '');
+  const data = {};
+  const issues = [];
+  const locations = Object.create(null);
+  const literals = new Set();
+  const comments = [];
+
+  let pos = 0;
+  let line = 1;
+
+  const lineEnd = (from) => {
+    const end = src.indexOf('\n', from);
+    return end === -1 ? src.length : end;
+  };
+  const countLines = (from, to) => src.slice(from, to).split('\n').length - 1;
+  const columnAt = (index) => index - src.lastIndexOf('\n', index - 1);
+  const addComment = (start, commentEnd, commentLine) => {
+    const column = columnAt(start);
+    comments.push({ text: src.slice(start, commentEnd), line: commentLine, column });
+  };
+
+  while (pos < src.length) {
+    const end = lineEnd(pos);
+    const text = src.slice(pos, end);
+    const trimmed = text.trim();
+    let next = end + 1;
+    let nextLine = line + 1;
+
+    if (trimmed.startsWith('#')) {
+      addComment(pos + text.indexOf('#'), end, line);
+    } else if (trimmed) {
+      const body = trimmed.replace(/^export[ \t]+/, '');
+      const bodyStart = pos + text.indexOf(body);
+      const separator = body.indexOf('=');
+      const column = columnAt(bodyStart);
+
+      if (separator === -1) {
+        issues.push(
+          createLineIssue(
+            body,
+            'Malformed line: expected KEY=value',
+            'env_missing_assignment',
+            line,
+            column
+          )
+        );
+      } else {
+        const key = body.slice(0, separator).trim();
+        let valueStart = bodyStart + separator + 1;
+        while (src[valueStart] === ' ' || src[valueStart] === '\t') valueStart++;
+        const quote = src[valueStart];
+        let valueEnd = null;
+        let isLiteral = false;
+
+        if (!KEY_PATTERN.test(key)) {
+          issues.push(
+            createLineIssue(
+              key,
+              `Invalid key name "${key}": keys must start with a letter or underscore and contain only letters, digits, "_", "." or "-"`,
+              'env_invalid_key',
+              line,
+              column
+            )
+          );
+        } else if (quote === '"' || quote === "'" || quote === '`') {
+          let closing = findClosingQuote(src, valueStart + 1, quote);
+          const restEnd = closing === -1 ? -1 : lineEnd(closing);
+          const rest = closing === -1 ? '' : src.slice(closing + 1, restEnd).trim();
+          const isMultiline = closing > end;
+
+          // A quote "closed" on a later line followed by garbage is really an
+          // opening quote that was never closed
+          if (isMultiline && rest && !rest.startsWith('#')) {
+            closing = -1;
+          }
+
+          if (closing === -1) {
+            issues.push(
+              createLineIssue(
+                key,
+                `Unterminated ${quote} quoted value`,
+                'env_unterminated_quote',
+                line,
+                column
+              )
+            );
+            utils.defineEntry(data, key, src.slice(valueStart, end).trim());
+            valueEnd = end;
+          } else {
+            const raw = src.slice(valueStart + 1, closing);
+            utils.defineEntry(data, key, quote === '"' ? unescapeDoubleQuoted(raw) : raw);
+            isLiteral = quote === "'";
+
+            if (rest.startsWith('#')) {
+              const commentLine = line + countLines(valueStart, closing);
+              addComment(src.indexOf('#', closing + 1), restEnd, commentLine);
+            } else if (rest) {
+              issues.push(
+                createLineIssue(
+                  key,
+                  `Unexpected content after closing quote: "${rest}"`,
+                  'env_unexpected_content',
+                  line,
+                  column
+                )
+              );
+            }
+            next = restEnd + 1;
+            nextLine = line + countLines(valueStart, closing) + 1;
+            valueEnd = closing + 1;
+          }
+        } else {
+          const value = src.slice(valueStart, end);
+          const comment = value.search(/(^|[ \t])#/);
+          utils.defineEntry(data, key, (comment === -1 ? value : value.slice(0, comment)).trim());
+          valueEnd = valueStart + data[key].length;
+          if (comment !== -1) {
+            addComment(valueStart + value.indexOf('#', comment), end, line);
+          }
+        }
+
+        if (valueEnd !== null) {
+          if (isLiteral) {
+            literals.add(key);
+          } else {
+            literals.delete(key);
+          }
+          locations[key] = {
+            line,
+            column,
+            endLine: line + countLines(valueStart, valueEnd),
+            endColumn: columnAt(valueEnd),
+            valueLine: line,
+            valueColumn: columnAt(valueStart),
+          };
+        }
+      }
+    }
+
+    pos = next;
+    line = nextLine;
+  }
+
+  return { data, issues, locations, literals: [...literals], comments };
+}
+
+/**
+ * Format a value for a .env file, quoting it when needed so that parseEnv
+ * and interpolation read it back unchanged
+ * @param {any} value - Value (objects and arrays are written as JSON)
+ * @returns {string}
+ */
+function formatEnvValue(value) {
+  const text =
+    value !== null && typeof value === 'object' ? JSON.stringify(value) : String(value);
+
+  if (/^[A-Za-z0-9_./:@,+=-]*$/.test(text)) {
+    return text;
+  }
+  if (!/['\r\n]/.test(text)) {
+    return `'${text}'`;
+  }
+  const escaped = text
+    .replace(/\\/g, '\\\\')
+    .replace(/"/g, '\\"')
+    .replace(/\$/g, '\\$')
+    .replace(/\r/g, '\\r')
+    .replace(/\n/g, '\\n');
+  return `"${escaped}"`;
+}
+
+/**
+ * Write configuration data as a .env file
+ *
+ * Nested objects are flattened to dotted keys (`database.host=...`); null
+ * values are written as empty values.
+ * @param {object} data - Configuration object
+ * @returns {string} .env content
+ */
+function stringifyEnv(data) {
+  const lines = [];
+  const write = (value, keyPath) => {
+    if (value !== null && typeof value === 'object' && !Array.isArray(value)) {
+      for (const [key, child] of Object.entries(value)) {
+        write(child, keyPath ? `${keyPath}.${key}` : key);
+      }
+      return;
+    }
+    lines.push(`${keyPath}=${value === null ? '' : formatEnvValue(value)}`);
+  };
+  write(data, '');
+  return lines.length > 0 ? `${lines.join('\n')}\n` : '';
+}
+
+module.exports = {
+  parseEnv,
+  stringifyEnv,
+};
@@ -0,0 +1,365 @@
+/**
+ * Value formats for the `format` rule keyword
+ *
+ * Each checker returns null for a valid value, or a message explaining
+ * why the value does not have the format.
+ */
+
+const net = require('net');
+const connections = require('./connections');
+const utils = require('./utils');
+
+const URL_PREFIX = /^[A-Za-z][A-Za-z0-9+.-]*:\/\//;
+const HOSTNAME_LABEL = /^[A-Za-z0-9](?:[A-Za-z0-9-]{0,61}[A-Za-z0-9])?$/;
+const DURATION_UNITS = ['ns', 'us', 'µs', 'ms', 's', 'm', 'h', 'd', 'w'];
+const DURATION_PATTERN = new RegExp(`^(?:\\d+(?:\\.\\d+)?(?:${DURATION_UNITS.join('|')}))+$`);
+const SEMVER_PATTERN =
+  /^(0|[1-9]\d*)\.(0|[1-9]\d*)\.(0|[1-9]\d*)(?:-((?:0|[1-9]\d*|\d*[A-Za-z-][0-9A-Za-z-]*)(?:\.(?:0|[1-9]\d*|\d*[A-Za-z-][0-9A-Za-z-]*))*))?(?:\+([0-9A-Za-z-]+(?:\.[0-9A-Za-z-]+)*))?$/;
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const CRON_MACROS = [
+  '@yearly',
+  '@annually',
+  '@monthly',
+  '@weekly',
+  '@daily',
+  '@midnight',
+  '@hourly',
+  '@reboot',
+];
+
+const CRON_MONTHS = 'JAN FEB MAR APR MAY JUN JUL AUG SEP OCT NOV DEC'.split(' ');
+const CRON_WEEKDAYS = ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'];
+
+/**
+ * Cron fields in order; a sixth leading field holds seconds
+ */
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: CRON_MONTHS, nameOffset: 1 },
+  { name: 'day of week', min: 0, max: 7, names: CRON_WEEKDAYS, nameOffset: 0 },
+];
+const CRON_SECONDS_FIELD = { name: 'second', min: 0, max: 59 };
+
+/**
+ * Check a URL, optionally restricting its scheme
+ * @param {string} value - Value to check
+ * @param {object} rule - Rule, with optional `schemes` (e.g. ['https', 'postgres'])
+ * @returns {string|null}
+ */
+function checkUrl(value, rule) {
+  // `new URL('localhost:5432')` succeeds with a "localhost:" scheme, so also
+  // require the `scheme://` prefix that configuration URLs always have
+  if (!URL_PREFIX.test(value) || !utils.isValidUrl(value)) {
+    return `Invalid URL "${value}": expected scheme://host/path`;
+  }
+
+  return checkScheme(new URL(value).protocol.slice(0, -1), rule);
+}
+
+/**
+ * Check the scheme of a URL against the `schemes` of a rule
+ * @param {string} scheme - Lower-case scheme, without `:`
+ * @param {object} rule - Rule, with optional `schemes`
+ * @returns {string|null}
+ */
+function checkScheme(scheme, rule) {
+  const allowed = rule.schemes && rule.schemes.map((name) => name.toLowerCase());
+  if (allowed && !allowed.includes(scheme)) {
+    return `URL scheme "${scheme}" is not allowed, expected one of: ${rule.schemes.join(', ')}`;
+  }
+  return null;
+}
+
+/**
+ * Check a database or message broker connection string. Those of the schemes
+ * connections.js parses may list several hosts (`postgres://db1,db2/app`) and
+ * carry a `jdbc:` prefix, which `new URL` rejects; other schemes (e.g.
+ * `sqlite:///data/app.db`) must be URLs.
+ * @param {string} value - Value to check
+ * @param {object} rule - Rule, with optional `schemes`
+ * @returns {string|null}
+ */
+function checkConnectionString(value, rule) {
+  const connection = connections.parseConnectionString(value);
+  if (connection) {
+    if (connection.hosts.some((host) => /\s/.test(host.host))) {
+      return `Invalid connection string "${value}": host names cannot contain spaces`;
+    }
+    return checkScheme(connection.scheme, rule);
+  }
+
+  const url = value.replace(/^jdbc:/i, '');
+  if (!URL_PREFIX.test(url) || !utils.isValidUrl(url)) {
+    return (
+      `Invalid connection string "${value}": ` +
+      'expected scheme://[user:password@]host[:port]/database'
+    );
+  }
+  return checkScheme(new URL(url).protocol.slice(0, -1), rule);
+}
+
+/**
+ * Check an email address
+ * @param {string} value - Value to check
+ * @returns {string|null}
+ */
+function checkEmail(value) {
+  return utils.isValidEmail(value) ? null : `Invalid email address "${value}"`;
+}
+
+/**
+ * Check a DNS hostname (RFC 1123)
+ * @param {string} value - Value to check
+ * @returns {string|null}
+ */
+function checkHostname(value) {
+  const name = value.endsWith('.') ? value.slice(0, -1) : value;
+  if (name.length === 0 || name.length > 253) {
+    return `Invalid hostname "${value}": must be 1 to 253 characters long`;
+  }
+  const label = name.split('.').find((part) => !HOSTNAME_LABEL.test(part));
+  if (label !== undefined) {
+    return (
+      `Invalid hostname "${value}": label "${label}" must be 1 to 63 letters, digits ` +
+      'or hyphens, not starting or ending with a hyphen'
+    );
+  }
+  return null;
+}
+
+/**
+ * Check an IPv4 address
+ * @param {string} value - Value to check
+ * @returns {string|null}
+ */
+function checkIpv4(value) {
+  return net.isIPv4(value) ? null : `Invalid IPv4 address "${value}"`;
+}
+
+/**
+ * Check an IPv6 address
+ * @param {string} value - Value to check
+ * @returns {string|null}
+ */
+function checkIpv6(value) {
+  return net.isIPv6(value) ? null : `Invalid IPv6 address "${value}"`;
+}
+
+/**
+ * Check a CIDR block such as 10.0.0.0/16 or fd00::/8
+ * @param {string} value - Value to check
+ * @returns {string|null}
+ */
+function checkCidr(value) {
+  const match = /^(.+)\/(\d{1,3})$/.exec(value);
+  if (!match) {
+    return `Invalid CIDR block "${value}": expected address/prefix, e.g. 10.0.0.0/16`;
+  }
+
+  const [, address, prefix] = match;
+  const maxPrefix = net.isIPv4(address) ? 32 : net.isIPv6(address) ? 128 : null;
+  if (maxPrefix === null) {
+    return `Invalid CIDR block "${value}": "${address}" is not an IP address`;
+  }
+  if (Number(prefix) > maxPrefix) {
+    return `Invalid CIDR block "${value}": prefix length must be 0 to ${maxPrefix}`;
+  }
+  return null;
+}
+
+/**
+ * Check a TCP/UDP port number (number or numeric string)
+ * @param {string|number} value - Value to check
+ * @returns {string|null}
+ */
+function checkPort(value) {
+  const port = typeof value === 'string' && /^\d+$/.test(value) ? Number(value) : value;
+  if (!Number.isInteger(port) || port < 1 || port > 65535) {
+    return `Invalid port ${JSON.stringify(value)}: must be an integer from 1 to 65535`;
+  }
+  return null;
+}
+
+/**
+ * Check a duration such as 30s, 5m or 1h30m
+ * @param {string} value - Value to check
+ * @returns {string|null}
+ */
+function checkDuration(value) {
+  if (!DURATION_PATTERN.test(value)) {
+    return (
+      `Invalid duration "${value}": expected a number with a unit ` +
+      `(${DURATION_UNITS.join(', ')}), e.g. 30s, 5m or 1h30m`
+    );
+  }
+  return null;
+}
+
+/**
+ * Parse one value of a cron field (a number or a month/weekday name)
+ * @param {string} text - Value text
+ * @param {object} field - Field definition
+ * @returns {number} NaN if invalid
+ */
+function parseCronValue(text, field) {
+  if (/^\d+$/.test(text)) {
+    return Number(text);
+  }
+  const index = field.names ? field.names.indexOf(text.toUpperCase()) : -1;
+  return index === -1 ? NaN : index + field.nameOffset;
+}
+
+/**
+ * Check one field of a cron expression
+ * @param {string} text - Field text, e.g. `0,30`, `9-17` or `MON-FRI`
+ * @param {object} field - Field definition
+ * @returns {string|null} Reason the field is invalid
+ */
+function checkCronField(text, field) {
+  for (const part of text.split(',')) {
+    const match = /^(\*|\?|[^/-]+(?:-[^/-]+)?)(?:\/(\d+))?$/.exec(part);
+    if (!match) {
+      return `${field.name} field "${text}" is malformed`;
+    }
+
+    const [, range, step] = match;
+    if (step !== undefined && Number(step) === 0) {
+      return `${field.name} step must be greater than 0`;
+    }
+    if (range === '*' || range === '?') {
+      continue;
+    }
+
+    const bounds = range.split('-').map((bound) => parseCronValue(bound, field));
+    for (const bound of bounds) {
+      if (Number.isNaN(bound)) {
+        return `${field.name} field "${text}" contains an invalid value`;
+      }
+      if (bound < field.min || bound > field.max) {
+        return `${field.name} value ${bound} is out of range ${field.min}-${field.max}`;
+      }
+    }
+    if (bounds.length === 2 && bounds[0] > bounds[1]) {
+      return `${field.name} range "${range}" is reversed`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Check a cron expression (5 fields, 6 with seconds, or an @ macro)
+ * @param {string} value - Value to check
+ * @returns {string|null}
+ */
+function checkCron(value) {
+  const expression = value.trim();
+  const invalid = (reason) => `Invalid cron expression "${value}": ${reason}`;
+
+  if (expression.startsWith('@')) {
+    return CRON_MACROS.includes(expression.toLowerCase())
+      ? null
+      : invalid(`unknown macro, expected one of: ${CRON_MACROS.join(', ')}`);
+  }
+
+  const parts = expression.split(/\s+/);
+  if (parts.length !== 5 && parts.length !== 6) {
+    return invalid(
+      `expected 5 fields (minute hour day-of-month month day-of-week), found ${parts.length}`
+    );
+  }
+
+  const fields = parts.length === 6 ? [CRON_SECONDS_FIELD, ...CRON_FIELDS] : CRON_FIELDS;
+  for (let i = 0; i < parts.length; i++) {
+    const reason = checkCronField(parts[i], fields[i]);
+    if (reason) {
+      return invalid(reason);
+    }
+  }
+  return null;
+}
+
+/**
+ * Check a semantic version (semver 2.0.0)
+ * @param {string} value - Value to check
+ * @returns {string|null}
+ */
+function checkSemver(value) {
+  return SEMVER_PATTERN.test(value)
+    ? null
+    : `Invalid semantic version "${value}": expected MAJOR.MINOR.PATCH, e.g. 1.4.2 or 2.0.0-rc.1`;
+}
+
+/**
+ * Check a UUID
+ * @param {string} value - Value to check
+ * @returns {string|null}
+ */
+function checkUuid(value) {
+  return UUID_PATTERN.test(value)
+    ? null
+    : `Invalid UUID "${value}": expected 8-4-4-4-12 hexadecimal digits`;
+}
+
+/**
+ * Check a file path. Paths are not required to exist: configurations are
+ * usually validated away from the machine they are deployed to.
+ * @param {string} value - Value to check
+ * @returns {string|null}
+ */
+function checkPath(value) {
+  if (value.length === 0) {
+    return 'Invalid file path: path is empty';
+  }
+  if (/[\x00-\x1f]/.test(value)) {
+    return `Invalid file path ${JSON.stringify(value)}: contains control characters`;
+  }
+  return null;
+}
+
+/**
+ * Format checkers by name
+ */
+const FORMATS = {
+  url: checkUrl,
+  connection_string: checkConnectionString,
+  email: checkEmail,
+  hostname: checkHostname,
+  ipv4: checkIpv4,
+  ipv6: checkIpv6,
+  cidr: checkCidr,
+  port: checkPort,
+  duration: checkDuration,
+  cron: checkCron,
+  semver: checkSemver,
+  uuid: checkUuid,
+  path: checkPath,
+};
+
+/**
+ * Check a value against a named format
+ *
+ * Formats apply to strings; `port` also accepts numbers.
+ * @param {any} value - Value to check
+ * @param {object} rule - Rule with `format` (and `schemes` for urls and
+ *   connection strings)
+ * @returns {string|null} Error message, or null if the value is valid or
+ *   not a string
+ */
+function checkFormat(value, rule) {
+  const checker = FORMATS[rule.format];
+  if (!checker) {
+    return `Unknown format "${rule.format}"`;
+  }
+  if (typeof value !== 'string' && !(rule.format === 'port' && typeof value === 'number')) {
+    return null;
+  }
+  return checker(value, rule);
+}
+
+module.exports = {
+  FORMAT_NAMES: Object.keys(FORMATS),
+  checkFormat,
+};
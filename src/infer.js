@@ -0,0 +1,212 @@
+/**
+ * Schema inference from sample configurations
+ *
+ * Keys present in every sample become required and the others optional.
+ * Each leaf key gets a rule with its observed type, plus an enum for
+ * low-cardinality word-like strings and the observed range of numbers.
+ * Nested objects are described by dotted paths and arrays of objects by
+ * `[*]` paths, like hand-written schemas.
+ */
+
+const utils = require('./utils');
+
+/**
+ * Default maximum number of distinct values of an inferred enum
+ */
+const MAX_ENUM_VALUES = 5;
+
+/**
+ * Strings eligible for an inferred enum: words such as `production` or
+ * `debug`, not URLs, paths, hostnames or free text
+ */
+const ENUM_VALUE_PATTERN = /^[A-Za-z][A-Za-z0-9_-]{0,31}$/;
+
+const NUMBER_PATTERN = /^[+-]?(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?$/;
+
+/**
+ * Interpret a string sample the way type coercion would read it
+ * @param {string} value - String value (e.g. from a .env file)
+ * @returns {any} Number, boolean or the string itself
+ */
+function readStringSample(value) {
+  if (NUMBER_PATTERN.test(value.trim())) {
+    return Number(value);
+  }
+  if (/^(true|false)$/i.test(value.trim())) {
+    return value.trim().toLowerCase() === 'true';
+  }
+  return value;
+}
+
+/**
+ * Path of the object containing a key path ('' for top-level keys)
+ * @param {string} keyPath - Key path, e.g. `database.host` or `servers[*].port`
+ * @returns {string}
+ */
+function parentPattern(keyPath) {
+  const match = keyPath.match(/^(.*?)\.?([^.[\]]+)$/);
+  return match ? match[1] : '';
+}
+
+/**
+ * Collect statistics about every key path of the samples
+ * @param {object[]} samples - Configuration objects
+ * @param {boolean} coerce - Read string values as numbers and booleans
+ * @returns {{stats: Map, containers: Map}} Per key path statistics, and the
+ *   number of objects seen at each object path
+ */
+function collectStats(samples, coerce) {
+  const stats = new Map();
+  const containers = new Map();
+
+  const statFor = (pattern) => {
+    if (!stats.has(pattern)) {
+      stats.set(pattern, { count: 0, types: new Set(), values: [], itemTypes: new Set() });
+    }
+    return stats.get(pattern);
+  };
+
+  const visitObject = (object, pattern) => {
+    containers.set(pattern, (containers.get(pattern) || 0) + 1);
+    for (const [key, child] of Object.entries(object)) {
+      visitValue(child, utils.joinPath(pattern, key));
+    }
+  };
+
+  const visitValue = (raw, pattern) => {
+    const value = coerce && typeof raw === 'string' ? readStringSample(raw) : raw;
+    const stat = statFor(pattern);
+    const type = utils.getType(value);
+    stat.count++;
+    stat.types.add(type);
+
+    if (type === 'object') {
+      visitObject(value, pattern);
+    } else if (type === 'array') {
+      if (value.length > 0 && value.every((item) => utils.getType(item) === 'object')) {
+        stat.hasObjectItems = true;
+        value.forEach((item) => visitObject(item, `${pattern}[*]`));
+      } else {
+        value.forEach((item) => stat.itemTypes.add(utils.getType(item)));
+      }
+    } else if (type !== 'null') {
+      stat.values.push(value);
+    }
+  };
+
+  samples.forEach((sample) => visitObject(sample, ''));
+  return { stats, containers };
+}
+
+/**
+ * Build the rule of a leaf key from its statistics
+ * @param {string} pattern - Key path
+ * @param {object} stat - Key statistics
+ * @param {number} maxEnumValues - Maximum number of distinct enum values
+ * @returns {object|null} Rule, or null if nothing could be inferred
+ */
+function inferRule(pattern, stat, maxEnumValues) {
+  const types = [...stat.types].filter((type) => type !== 'null');
+  if (types.length !== 1) {
+    return null;
+  }
+
+  const [type] = types;
+  const rule = { type };
+
+  if (type === 'string') {
+    const distinct = [...new Set(stat.values)];
+    if (distinct.every((value) => value !== '')) {
+      rule.notEmpty = true;
+    }
+    const key = pattern.replace(/.*[.\]]/, '');
+    // A single observed value is more likely an example than a constant
+    if (
+      distinct.length >= 2 &&
+      distinct.length <= maxEnumValues &&
+      distinct.every((value) => ENUM_VALUE_PATTERN.test(value)) &&
+      !utils.isSuspiciousSecretKey(key)
+    ) {
+      rule.enum = distinct;
+    }
+  } else if (type === 'number') {
+    rule.min = Math.min(...stat.values);
+    rule.max = Math.max(...stat.values);
+  } else if (type === 'array' && !stat.hasObjectItems) {
+    const itemTypes = [...stat.itemTypes].filter((itemType) => itemType !== 'null');
+    if (itemTypes.length === 1) {
+      rule.items = { type: itemTypes[0] };
+    }
+  }
+
+  return rule;
+}
+
+/**
+ * Infer a schema from sample configurations
+ *
+ * A key is required when it is present in every sample (every item, for
+ * keys of arrays of objects) and its parent object is required too.
+ * @param {object[]} samples - Configuration objects (e.g. dev and prod configs)
+ * @param {object} [options] - Inference options
+ * @param {boolean} [options.coerce] - Read string values as numbers and booleans
+ *   (for .env samples, matching how they are validated)
+ * @param {number} [options.maxEnumValues] - Maximum number of distinct values of
+ *   an inferred enum (default 5)
+ * @returns {object} Schema with requiredKeys, optionalKeys and rules
+ */
+function inferSchema(samples, options = {}) {
+  const maxEnumValues =
+    options.maxEnumValues === undefined ? MAX_ENUM_VALUES : options.maxEnumValues;
+  const { stats, containers } = collectStats(samples, Boolean(options.coerce));
+
+  const requiredCache = new Map();
+  const isRequired = (pattern) => {
+    if (!requiredCache.has(pattern)) {
+      const parent = parentPattern(pattern);
+      const parentRequired =
+        parent === '' || parent.endsWith('[*]') || (stats.has(parent) && isRequired(parent));
+      requiredCache.set(
+        pattern,
+        parentRequired && stats.get(pattern).count === containers.get(parent)
+      );
+    }
+    return requiredCache.get(pattern);
+  };
+
+  const schema = { requiredKeys: [], optionalKeys: [], rules: {} };
+  for (const [pattern, stat] of stats) {
+    // Objects are described by their keys; empty objects by themselves
+    const isObject = stat.types.size === 1 && stat.types.has('object');
+    if (isObject && hasChildKeys(stats, pattern)) {
+      continue;
+    }
+
+    (isRequired(pattern) ? schema.requiredKeys : schema.optionalKeys).push(pattern);
+    const rule = inferRule(pattern, stat, maxEnumValues);
+    if (rule) {
+      schema.rules[pattern] = rule;
+    }
+  }
+
+  return schema;
+}
+
+/**
+ * Whether statistics hold keys below an object path
+ * @param {Map} stats - Per key path statistics
+ * @param {string} pattern - Object path
+ * @returns {boolean}
+ */
+function hasChildKeys(stats, pattern) {
+  for (const candidate of stats.keys()) {
+    if (parentPattern(candidate) === pattern) {
+      return true;
+    }
+  }
+  return false;
+}
+
+module.exports = {
+  inferSchema,
+};
@@ -0,0 +1,248 @@
+/**
+ * INI and Java .properties parsers for configuration files
+ */
+
+const utils = require('./utils');
+
+const PROPERTIES_ESCAPES = {
+  t: '\t',
+  n: '\n',
+  r: '\r',
+  f: '\f',
+};
+
+const INI_ESCAPES = {
+  t: '\t',
+  n: '\n',
+  r: '\r',
+  '0': '\0',
+  '\\': '\\',
+  '"': '"',
+  "'": "'",
+  ';': ';',
+  '#': '#',
+  '=': '=',
+  ':': ':',
+};
+
+/**
+ * Split content into lines, normalizing line endings and dropping a BOM
+ * @param {string} content - File content
+ * @returns {string[]}
+ */
+function splitLines(content) {
+  let text = content.replace(/\r\n?/g, '\n');
+  if (text.charCodeAt(0) === 0xfeff) {
+    text = text.slice(1);
+  }
+  return text.split('\n');
+}
+
+/**
+ * Whether a line ends with an odd number of backslashes (a continuation)
+ * @param {string} line - Line text
+ * @returns {boolean}
+ */
+function endsWithContinuation(line) {
+  const match = line.match(/\\+$/);
+  return match !== null && match[0].length % 2 === 1;
+}
+
+/**
+ * Unquote and unescape an INI value
+ * @param {string} value - Raw (trimmed) value
+ * @param {number} line - Line number for error reporting
+ * @param {number} column - Column of the value for error reporting
+ * @returns {string}
+ */
+function parseIniValue(value, line, column) {
+  const quote = value[0];
+  if (quote !== '"' && quote !== "'") {
+    return value;
+  }
+
+  if (value.length < 2 || value[value.length - 1] !== quote) {
+    throw utils.createParseError('Unterminated quoted value', line, column);
+  }
+
+  const inner = value.slice(1, -1);
+  if (quote === "'") {
+    return inner;
+  }
+
+  return inner.replace(/\\(.)/g, (match, ch) =>
+    Object.prototype.hasOwnProperty.call(INI_ESCAPES, ch) ? INI_ESCAPES[ch] : match
+  );
+}
+
+/**
+ * Parse an INI document
+ *
+ * Keys before the first `[section]` are top-level; each section becomes a
+ * nested object, so a section may not share its name with a top-level key.
+ * `;` and `#` start comment lines, `=` or `:` separate keys from values, and
+ * a trailing backslash continues a value on the next line.
+ * @param {string} content - INI source text
+ * @returns {object}
+ * @throws {SyntaxError} With line and column properties if the INI is invalid
+ */
+function parseIni(content) {
+  const config = {};
+  let section = config;
+  const lines = splitLines(content);
+
+  for (let i = 0; i < lines.length; i++) {
+    const lineNumber = i + 1;
+    let line = lines[i];
+    const trimmed = line.trim();
+
+    if (!trimmed || trimmed.startsWith(';') || trimmed.startsWith('#')) {
+      continue;
+    }
+
+    if (trimmed.startsWith('[')) {
+      const match = trimmed.match(/^\[([^\]]+)\]\s*(?:[;#].*)?$/);
+      if (!match) {
+        throw utils.createParseError(
+          'Invalid section header',
+          lineNumber,
+          line.indexOf('[') + 1
+        );
+      }
+      const name = match[1].trim();
+      if (!Object.prototype.hasOwnProperty.call(config, name)) {
+        utils.defineEntry(config, name, {});
+      } else if (typeof config[name] !== 'object') {
+        throw utils.createParseError(
+          `Section [${name}] conflicts with the key "${name}" defined before it`,
+          lineNumber,
+          line.indexOf('[') + 1
+        );
+      }
+      section = config[name];
+      continue;
+    }
+
+    // Join continuation lines
+    while (endsWithContinuation(line) && i + 1 < lines.length) {
+      i++;
+      line = line.slice(0, -1) + lines[i].trimStart();
+    }
+
+    const separator = line.search(/[=:]/);
+    if (separator === -1) {
+      throw utils.createParseError(
+        'Expected "=" or ":" after key',
+        lineNumber,
+        line.length - line.trimStart().length + 1
+      );
+    }
+
+    const key = line.slice(0, separator).trim();
+    if (!key) {
+      throw utils.createParseError('Missing key before separator', lineNumber, separator + 1);
+    }
+
+    const rawValue = line.slice(separator + 1);
+    const valueColumn = separator + 2 + (rawValue.length - rawValue.trimStart().length);
+    utils.defineEntry(section, key, parseIniValue(rawValue.trim(), lineNumber, valueColumn));
+  }
+
+  return config;
+}
+
+/**
+ * Unescape a .properties key or value
+ * @param {string} text - Raw text
+ * @param {number} line - Line number for error reporting
+ * @returns {string}
+ */
+function unescapeProperties(text, line) {
+  let result = '';
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (ch !== '\\') {
+      result += ch;
+      continue;
+    }
+
+    const next = text[i + 1];
+    if (next === undefined) {
+      break;
+    }
+    if (next === 'u') {
+      const hex = text.substr(i + 2, 4);
+      if (!/^[0-9A-Fa-f]{4}$/.test(hex)) {
+        throw utils.createParseError('Malformed \\uXXXX escape', line, i + 1);
+      }
+      result += String.fromCharCode(parseInt(hex, 16));
+      i += 5;
+      continue;
+    }
+    result += Object.prototype.hasOwnProperty.call(PROPERTIES_ESCAPES, next)
+      ? PROPERTIES_ESCAPES[next]
+      : next;
+    i++;
+  }
+  return result;
+}
+
+/**
+ * Parse a Java .properties document
+ *
+ * Follows java.util.Properties#load: `#`/`!` comments, `=`, `:` or
+ * whitespace separators, backslash line continuations and escapes.
+ * Keys stay flat (e.g. `spring.datasource.password`).
+ * @param {string} content - Properties source text
+ * @returns {object}
+ * @throws {SyntaxError} With line and column properties for malformed escapes
+ */
+function parseProperties(content) {
+  const config = {};
+  const lines = splitLines(content);
+
+  for (let i = 0; i < lines.length; i++) {
+    const lineNumber = i + 1;
+    let line = lines[i].trimStart();
+
+    if (!line || line.startsWith('#') || line.startsWith('!')) {
+      continue;
+    }
+
+    while (endsWithContinuation(line) && i + 1 < lines.length) {
+      i++;
+      line = line.slice(0, -1) + lines[i].trimStart();
+    }
+
+    // The key ends at the first unescaped separator or whitespace
+    let keyEnd = 0;
+    while (keyEnd < line.length) {
+      const ch = line[keyEnd];
+      if (ch === '\\') {
+        keyEnd += 2;
+        continue;
+      }
+      if (ch === '=' || ch === ':' || ch === ' ' || ch === '\t' || ch === '\f') {
+        break;
+      }
+      keyEnd++;
+    }
+
+    let valueStart = keyEnd;
+    while (/[ \t\f]/.test(line[valueStart] || '')) valueStart++;
+    if (line[valueStart] === '=' || line[valueStart] === ':') {
+      valueStart++;
+      while (/[ \t\f]/.test(line[valueStart] || '')) valueStart++;
+    }
+
+    const key = unescapeProperties(line.slice(0, keyEnd), lineNumber);
+    utils.defineEntry(config, key, unescapeProperties(line.slice(valueStart), lineNumber));
+  }
+
+  return config;
+}
+
+module.exports = {
+  parseIni,
+  parseProperties,
+};
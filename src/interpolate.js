@@ -0,0 +1,331 @@
+/**
+ * Variable interpolation for .env files
+ *
+ * Supported references:
+ * - `$NAME` and `${NAME}`
+ * - `${NAME:-default}`: default when NAME is unset or empty
+ * - `${NAME-default}`: default when NAME is unset
+ * - `\$` for a literal dollar sign
+ *
+ * Defaults may themselves contain references. Single-quoted values are
+ * never expanded.
+ */
+
+const utils = require('./utils');
+
+const NAME_PATTERN = /[A-Za-z_][A-Za-z0-9_.]*/y;
+const SHORT_NAME_PATTERN = /[A-Za-z_][A-Za-z0-9_]*/y;
+
+/**
+ * Create an interpolation issue
+ * @param {string} key - Key whose value holds the reference
+ * @param {string} severity - 'ERROR' or 'WARNING'
+ * @param {string} message - Issue description
+ * @param {string} rule - Rule id
+ * @returns {object}
+ */
+function createIssue(key, severity, message, rule) {
+  return { key, severity, message, rule };
+}
+
+/**
+ * Read a variable name at a position
+ * @param {RegExp} pattern - Sticky name pattern
+ * @param {string} text - Value text
+ * @param {number} pos - Start index
+ * @returns {string|null}
+ */
+function readName(pattern, text, pos) {
+  pattern.lastIndex = pos;
+  const match = pattern.exec(text);
+  return match ? match[0] : null;
+}
+
+/**
+ * Expand the variable references of parsed .env variables
+ *
+ * References resolve from the variables of the file itself (in any order),
+ * then from `options.variables` (e.g. other loaded .env files), then from
+ * `options.processEnv` when given. Unresolved references expand to an empty
+ * string, like in a shell.
+ * @param {object} data - Parsed variables, as written
+ * @param {object} [options] - Interpolation options
+ * @param {string[]} [options.literals] - Keys whose values must not be expanded
+ * @param {object} [options.variables] - Variables defined outside the file
+ * @param {object} [options.processEnv] - Process environment to fall back to
+ * @returns {{data: object, issues: array}} Expanded variables and issues for
+ *   undefined, circular and malformed references
+ */
+function expandEnv(data, options = {}) {
+  const literals = new Set(options.literals || []);
+  const sources = [options.variables || {}, options.processEnv || {}];
+  // Keyed by variable name, which may be `__proto__`
+  const expanded = Object.create(null);
+  const issuesByKey = Object.create(null);
+  const stack = [];
+
+  const has = (object, name) => Object.prototype.hasOwnProperty.call(object, name);
+
+  /**
+   * Look up a variable, expanding it first when it is defined in the file
+   * @returns {string|undefined}
+   */
+  const lookup = (name, key, issues) => {
+    if (has(data, name)) {
+      if (stack.includes(name)) {
+        const cycle = [...stack.slice(stack.indexOf(name)), name];
+        issues.push(
+          createIssue(
+            key,
+            'ERROR',
+            `Circular variable reference: ${cycle.join(' -> ')}`,
+            'env_circular_reference'
+          )
+        );
+        return '';
+      }
+      return resolve(name);
+    }
+
+    for (const source of sources) {
+      const value = source[name];
+      if (has(source, name) && value !== null && typeof value !== 'object') {
+        return String(value);
+      }
+    }
+    return undefined;
+  };
+
+  /**
+   * Expand a value template from `start`; stops at an unmatched `}` when
+   * `nested` is set (the default of a `${...}` reference). Issues are
+   * collected into `issues`.
+   * @returns {{value: string, end: number, closed: boolean}}
+   */
+  const expandTemplate = (text, start, nested, key, issues) => {
+    let value = '';
+    let pos = start;
+
+    while (pos < text.length) {
+      const ch = text[pos];
+
+      if (nested && ch === '}') {
+        return { value, end: pos + 1, closed: true };
+      }
+
+      if (ch === '\\' && text[pos + 1] === '$') {
+        value += '$';
+        pos += 2;
+        continue;
+      }
+
+      if (ch !== '$') {
+        value += ch;
+        pos++;
+        continue;
+      }
+
+      if (text[pos + 1] !== '{') {
+        const name = readName(SHORT_NAME_PATTERN, text, pos + 1);
+        if (!name) {
+          value += ch;
+          pos++;
+          continue;
+        }
+        value += expandReference(name, key, issues);
+        pos += 1 + name.length;
+        continue;
+      }
+
+      const name = readName(NAME_PATTERN, text, pos + 2);
+      let next = pos + 2 + (name ? name.length : 0);
+
+      if (name && text[next] === '}') {
+        value += expandReference(name, key, issues);
+        pos = next + 1;
+        continue;
+      }
+
+      const operator = text.startsWith(':-', next) ? ':-' : text[next] === '-' ? '-' : null;
+      if (name && operator) {
+        const fallbackIssues = [];
+        const fallback = expandTemplate(
+          text,
+          next + operator.length,
+          true,
+          key,
+          fallbackIssues
+        );
+        if (!fallback.closed) {
+          issues.push(
+            createIssue(
+              key,
+              'ERROR',
+              `Unterminated variable reference "${text.slice(pos)}"`,
+              'env_invalid_reference'
+            )
+          );
+          return { value: value + text.slice(pos), end: text.length, closed: false };
+        }
+        // Issues inside an unused default do not apply
+        const current = lookup(name, key, issues);
+        if (current === undefined || (operator === ':-' && current === '')) {
+          value += fallback.value;
+          issues.push(...fallbackIssues);
+        } else {
+          value += current;
+        }
+        pos = fallback.end;
+        continue;
+      }
+
+      // Malformed reference such as `${}`, `${1X}` or `${NAME?}`: keep it as written
+      const close = text.indexOf('}', pos);
+      next = close === -1 ? text.length : close + 1;
+      issues.push(
+        createIssue(
+          key,
+          'ERROR',
+          close === -1
+            ? `Unterminated variable reference "${text.slice(pos)}"`
+            : `Invalid variable reference "${text.slice(pos, next)}"`,
+          'env_invalid_reference'
+        )
+      );
+      value += text.slice(pos, next);
+      pos = next;
+    }
+
+    return { value, end: pos, closed: !nested };
+  };
+
+  /**
+   * Expand a reference without a default
+   * @returns {string}
+   */
+  const expandReference = (name, key, issues) => {
+    const value = lookup(name, key, issues);
+    if (value === undefined) {
+      issues.push(
+        createIssue(
+          key,
+          'WARNING',
+          `Reference to undefined variable "${name}"`,
+          'env_undefined_variable'
+        )
+      );
+      return '';
+    }
+    return value;
+  };
+
+  /**
+   * Expand a variable of the file (memoized)
+   * @returns {string}
+   */
+  const resolve = (key) => {
+    if (has(expanded, key)) {
+      return expanded[key];
+    }
+
+    const raw = data[key];
+    if (literals.has(key) || typeof raw !== 'string') {
+      expanded[key] = raw;
+      return raw;
+    }
+
+    issuesByKey[key] = [];
+    stack.push(key);
+    const { value } = expandTemplate(raw, 0, false, key, issuesByKey[key]);
+    stack.pop();
+    expanded[key] = value;
+    return value;
+  };
+
+  // Keep the key order of the file
+  const result = {};
+  const issues = [];
+  for (const key of Object.keys(data)) {
+    utils.defineEntry(result, key, resolve(key));
+  }
+  for (const key of Object.keys(data)) {
+    issues.push(...(issuesByKey[key] || []));
+  }
+
+  return { data: result, issues };
+}
+
+/**
+ * Find the defaults written in the variable references of a value, e.g.
+ * `admin` for `${DB_PASS:-admin}`. Defaults that contain references
+ * themselves are left out; the defaults of those references are listed
+ * instead.
+ * @param {string} text - Value as written
+ * @returns {string[]} Defaults, with `\$` unescaped
+ */
+function referenceDefaults(text) {
+  const defaults = [];
+
+  /**
+   * Scan a value template from `start` like expandTemplate does
+   * @returns {{end: number, closed: boolean, plain: boolean}} `plain` is set
+   *   when the template holds no references
+   */
+  const scan = (start, nested) => {
+    let plain = true;
+    let pos = start;
+
+    while (pos < text.length) {
+      const ch = text[pos];
+
+      if (nested && ch === '}') {
+        return { end: pos + 1, closed: true, plain };
+      }
+      if (ch === '\\' && text[pos + 1] === '$') {
+        pos += 2;
+        continue;
+      }
+      if (ch !== '$') {
+        pos++;
+        continue;
+      }
+
+      if (text[pos + 1] !== '{') {
+        const name = readName(SHORT_NAME_PATTERN, text, pos + 1);
+        plain = plain && !name;
+        pos += 1 + (name ? name.length : 0);
+        continue;
+      }
+
+      plain = false;
+      const name = readName(NAME_PATTERN, text, pos + 2);
+      const next = pos + 2 + (name ? name.length : 0);
+      const operator = text.startsWith(':-', next) ? ':-' : text[next] === '-' ? '-' : null;
+      if (name && operator) {
+        const fallback = scan(next + operator.length, true);
+        if (!fallback.closed) {
+          return { end: text.length, closed: false, plain };
+        }
+        if (fallback.plain) {
+          const written = text.slice(next + operator.length, fallback.end - 1);
+          defaults.push(written.replace(/\\\$/g, '$'));
+        }
+        pos = fallback.end;
+        continue;
+      }
+
+      const close = text.indexOf('}', pos);
+      pos = close === -1 ? text.length : close + 1;
+    }
+
+    return { end: pos, closed: !nested, plain };
+  };
+
+  scan(0, false);
+  return defaults;
+}
+
+module.exports = {
+  expandEnv,
+  referenceDefaults,
+};
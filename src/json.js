@@ -0,0 +1,383 @@
+/**
+ * JSON parser that records the source location of every key and value
+ *
+ * Three flavors are supported:
+ * - json:  strict RFC 8259 JSON
+ * - jsonc: JSON with `//` and `/* *\/` comments and trailing commas
+ *          (VS Code settings, tsconfig.json)
+ * - json5: JSONC plus unquoted keys, single-quoted and multi-line strings,
+ *          hexadecimal, signed and dot-leading numbers, Infinity and NaN
+ */
+
+const utils = require('./utils');
+
+const NUMBER_PATTERN = /-?(?:0|[1-9][0-9]*)(?:\.[0-9]+)?(?:[eE][+-]?[0-9]+)?/y;
+const JSON5_NUMBER_PATTERN =
+  /[+-]?(?:Infinity|NaN|0[xX][0-9a-fA-F]+|(?:[0-9]+\.?[0-9]*|\.[0-9]+)(?:[eE][+-]?[0-9]+)?)/y;
+const IDENTIFIER_PATTERN = /[A-Za-z_$][A-Za-z0-9_$]*/y;
+
+const JSON5_WHITESPACE = ['\v', '\f', '\u00a0', '\ufeff', '\u2028', '\u2029'];
+
+const ESCAPES = {
+  '"': '"',
+  '\\': '\\',
+  '/': '/',
+  b: '\b',
+  f: '\f',
+  n: '\n',
+  r: '\r',
+  t: '\t',
+};
+
+const JSON5_ESCAPES = {
+  ...ESCAPES,
+  "'": "'",
+  v: '\v',
+  0: '\0',
+};
+
+const FLAVORS = {
+  json: { comments: false, trailingCommas: false, json5: false },
+  jsonc: { comments: true, trailingCommas: true, json5: false },
+  json5: { comments: true, trailingCommas: true, json5: true },
+};
+
+/**
+ * Character-level JSON parser. One instance parses one document.
+ */
+class JsonParser {
+  constructor(content, flavor) {
+    this.src = content.charCodeAt(0) === 0xfeff ? content.slice(1) : content;
+    this.pos = 0;
+    this.line = 1;
+    this.lineStart = 0;
+    this.locations = Object.create(null);
+    this.comments = [];
+    this.syntax = FLAVORS[flavor];
+  }
+
+  // ---- Position helpers ----
+
+  get column() {
+    return this.pos - this.lineStart + 1;
+  }
+
+  peek(offset = 0) {
+    return this.src[this.pos + offset];
+  }
+
+  error(message) {
+    return utils.createParseError(message, this.line, this.column);
+  }
+
+  unexpected() {
+    if (this.pos >= this.src.length) {
+      return this.error('Unexpected end of JSON input');
+    }
+    return this.error(`Unexpected token "${this.peek()}"`);
+  }
+
+  newline() {
+    this.pos++;
+    this.line++;
+    this.lineStart = this.pos;
+  }
+
+  skipWhitespace() {
+    for (;;) {
+      const ch = this.peek();
+      if (ch === '\n') {
+        this.newline();
+      } else if (ch === ' ' || ch === '\t' || ch === '\r') {
+        this.pos++;
+      } else if (this.syntax.json5 && JSON5_WHITESPACE.includes(ch)) {
+        this.pos++;
+      } else if (this.syntax.comments && ch === '/' && this.peek(1) === '/') {
+        const start = this.pos;
+        const column = this.column;
+        while (this.pos < this.src.length && this.peek() !== '\n') this.pos++;
+        this.comments.push({ text: this.src.slice(start, this.pos), line: this.line, column });
+      } else if (this.syntax.comments && ch === '/' && this.peek(1) === '*') {
+        this.skipBlockComment();
+      } else {
+        return;
+      }
+    }
+  }
+
+  skipBlockComment() {
+    const start = this.pos;
+    const line = this.line;
+    const column = this.column;
+    this.pos += 2;
+    for (;;) {
+      if (this.pos >= this.src.length) {
+        throw utils.createParseError('Unterminated block comment', line, column);
+      }
+      if (this.peek() === '*' && this.peek(1) === '/') {
+        this.pos += 2;
+        this.comments.push({ text: this.src.slice(start, this.pos), line, column });
+        return;
+      }
+      if (this.peek() === '\n') {
+        this.newline();
+      } else {
+        this.pos++;
+      }
+    }
+  }
+
+  expect(ch) {
+    if (this.peek() !== ch) {
+      throw this.unexpected();
+    }
+    this.pos++;
+  }
+
+  /**
+   * Consume the separator after a member or item
+   * @param {string} closing - Closing bracket of the container
+   * @returns {boolean} True if the container is closed
+   */
+  parseSeparator(closing) {
+    this.skipWhitespace();
+    if (this.peek() === closing) {
+      this.pos++;
+      return true;
+    }
+    this.expect(',');
+    this.skipWhitespace();
+    if (this.peek() === closing) {
+      if (!this.syntax.trailingCommas) {
+        throw this.error('Trailing comma is not allowed');
+      }
+      this.pos++;
+      return true;
+    }
+    return false;
+  }
+
+  // ---- Grammar ----
+
+  parse() {
+    this.skipWhitespace();
+    const data = this.parseValue('');
+    this.skipWhitespace();
+    if (this.pos < this.src.length) {
+      throw this.unexpected();
+    }
+    return { data, locations: this.locations, comments: this.comments };
+  }
+
+  /**
+   * Parse a value, recording locations of nested keys under the given path
+   * @param {string} path - Path of the value
+   * @returns {any}
+   */
+  parseValue(path) {
+    const ch = this.peek();
+    if (ch === '{') return this.parseObject(path);
+    if (ch === '[') return this.parseArray(path);
+    if (ch === '"' || (ch === "'" && this.syntax.json5)) return this.parseString();
+
+    for (const [literal, value] of [['true', true], ['false', false], ['null', null]]) {
+      if (this.src.startsWith(literal, this.pos)) {
+        this.pos += literal.length;
+        return value;
+      }
+    }
+    return this.parseNumber();
+  }
+
+  parseObject(path) {
+    const object = {};
+    this.pos++;
+    this.skipWhitespace();
+
+    if (this.peek() === '}') {
+      this.pos++;
+      return object;
+    }
+
+    for (;;) {
+      const line = this.line;
+      const column = this.column;
+      const key = this.parseKey();
+      this.skipWhitespace();
+      this.expect(':');
+      this.skipWhitespace();
+
+      const childPath = utils.joinPath(path, key);
+      utils.defineEntry(object, key, this.parseEntry(childPath, line, column));
+
+      if (this.parseSeparator('}')) {
+        return object;
+      }
+    }
+  }
+
+  parseKey() {
+    const ch = this.peek();
+    if (ch === '"' || (ch === "'" && this.syntax.json5)) {
+      return this.parseString();
+    }
+
+    if (this.syntax.json5) {
+      IDENTIFIER_PATTERN.lastIndex = this.pos;
+      const match = IDENTIFIER_PATTERN.exec(this.src);
+      if (match) {
+        this.pos += match[0].length;
+        return match[0];
+      }
+    }
+
+    if (this.pos >= this.src.length) {
+      throw this.unexpected();
+    }
+    throw this.error(
+      this.syntax.json5 ? 'Expected property name' : 'Expected double-quoted property name'
+    );
+  }
+
+  parseArray(path) {
+    const array = [];
+    this.pos++;
+    this.skipWhitespace();
+
+    if (this.peek() === ']') {
+      this.pos++;
+      return array;
+    }
+
+    for (;;) {
+      const childPath = utils.joinPath(path, array.length);
+      array.push(this.parseEntry(childPath, this.line, this.column));
+
+      if (this.parseSeparator(']')) {
+        return array;
+      }
+    }
+  }
+
+  /**
+   * Parse the value of an object member or array item and record its location
+   * @param {string} path - Path of the entry
+   * @param {number} line - Line where the entry (key or item) starts
+   * @param {number} column - Column where the entry starts
+   * @returns {any}
+   */
+  parseEntry(path, line, column) {
+    const valueLine = this.line;
+    const valueColumn = this.column;
+    const value = this.parseValue(path);
+    this.locations[path] = {
+      line,
+      column,
+      endLine: this.line,
+      endColumn: this.column,
+      valueLine,
+      valueColumn,
+    };
+    return value;
+  }
+
+  parseString() {
+    const quote = this.peek();
+    let result = '';
+    this.pos++;
+
+    for (;;) {
+      const ch = this.peek();
+      if (ch === undefined) {
+        throw this.error('Unterminated string');
+      }
+      if (ch === quote) {
+        this.pos++;
+        return result;
+      }
+      if (ch === '\n' || (ch < ' ' && !this.syntax.json5)) {
+        throw this.error('Bad control character in string');
+      }
+      if (ch === '\\') {
+        result += this.parseEscape();
+        continue;
+      }
+      result += ch;
+      this.pos++;
+    }
+  }
+
+  parseEscape() {
+    const next = this.peek(1);
+    const escapes = this.syntax.json5 ? JSON5_ESCAPES : ESCAPES;
+
+    if (Object.prototype.hasOwnProperty.call(escapes, next)) {
+      this.pos += 2;
+      return escapes[next];
+    }
+    if (next === 'u' || (next === 'x' && this.syntax.json5)) {
+      const length = next === 'u' ? 4 : 2;
+      const hex = this.src.substr(this.pos + 2, length);
+      if (!new RegExp(`^[0-9a-fA-F]{${length}}$`).test(hex)) {
+        throw this.error('Bad Unicode escape');
+      }
+      this.pos += 2 + length;
+      return String.fromCharCode(parseInt(hex, 16));
+    }
+
+    if (this.syntax.json5 && next !== undefined && !/[1-9]/.test(next)) {
+      // Escaped line breaks continue the string on the next line
+      this.pos++;
+      if (next === '\r' && this.peek(1) === '\n') this.pos++;
+      if (this.peek() === '\n') {
+        this.newline();
+        return '';
+      }
+      this.pos++;
+      return next === '\r' ? '' : next;
+    }
+
+    throw this.error('Bad escaped character');
+  }
+
+  parseNumber() {
+    const pattern = this.syntax.json5 ? JSON5_NUMBER_PATTERN : NUMBER_PATTERN;
+    pattern.lastIndex = this.pos;
+    const match = pattern.exec(this.src);
+    if (!match || /^[+-]?$/.test(match[0])) {
+      throw this.unexpected();
+    }
+    this.pos += match[0].length;
+
+    const text = match[0];
+    const sign = text.startsWith('-') ? -1 : 1;
+    const unsigned = text.replace(/^[+-]/, '');
+    if (/^0[xX]/.test(unsigned)) {
+      return sign * parseInt(unsigned.slice(2), 16);
+    }
+    return Number(text);
+  }
+}
+
+/**
+ * Parse a JSON document
+ * @param {string} content - JSON source text
+ * @param {object} [options] - Parser options
+ * @param {string} [options.flavor] - 'json' (default), 'jsonc' or 'json5'
+ * @returns {{data: any, locations: object, comments: array}} Parsed value, a map of
+ *   key path to {line, column, endLine, endColumn, valueLine, valueColumn}, and the
+ *   comments of jsonc and json5 documents as {text, line, column}, `text` including
+ *   the comment markers
+ * @throws {SyntaxError} With line and column properties if the JSON is invalid
+ */
+function parseJson(content, options = {}) {
+  const flavor = options.flavor || 'json';
+  if (!FLAVORS[flavor]) {
+    throw new Error(`Unknown JSON flavor: ${flavor}`);
+  }
+  return new JsonParser(content, flavor).parse();
+}
+
+module.exports = {
+  parseJson,
+};
@@ -0,0 +1,631 @@
+/**
+ * JSON Schema (draft-07 / 2020-12) support for validation schemas
+ *
+ * Supported keywords: type, enum, const, properties, required,
+ * additionalProperties, patternProperties, minProperties, maxProperties,
+ * items, prefixItems, minItems, maxItems, uniqueItems, minLength,
+ * maxLength, pattern, minimum, maximum, exclusiveMinimum, exclusiveMaximum,
+ * multipleOf, $ref (local references only), allOf, anyOf, oneOf and not.
+ * Other keywords are ignored, as the specification requires.
+ */
+
+const coerce = require('./coerce');
+const utils = require('./utils');
+
+const JSON_SCHEMA_TYPES = ['string', 'number', 'integer', 'boolean', 'object', 'array', 'null'];
+
+/**
+ * Keywords holding subschemas, by shape: a single schema, an array of
+ * schemas, or a map of names to schemas
+ */
+const SUBSCHEMA_KEYWORDS = {
+  single: [
+    'items',
+    'additionalItems',
+    'additionalProperties',
+    'not',
+    'contains',
+    'propertyNames',
+    'if',
+    'then',
+    'else',
+  ],
+  list: ['allOf', 'anyOf', 'oneOf', 'prefixItems', 'items'],
+  map: ['properties', 'patternProperties', '$defs', 'definitions', 'dependentSchemas'],
+};
+
+/**
+ * Keywords that identify a JSON Schema document (as opposed to the
+ * requiredKeys/optionalKeys/rules format)
+ */
+const JSON_SCHEMA_MARKERS = [
+  '$ref',
+  '$defs',
+  'definitions',
+  'properties',
+  'required',
+  'additionalProperties',
+  'patternProperties',
+  'allOf',
+  'anyOf',
+  'oneOf',
+];
+
+/**
+ * Check whether a schema document is a JSON Schema
+ * @param {any} definition - Schema document
+ * @returns {boolean}
+ */
+function isJsonSchema(definition) {
+  if (typeof definition === 'boolean') {
+    return true;
+  }
+  if (definition === null || typeof definition !== 'object' || Array.isArray(definition)) {
+    return false;
+  }
+  if (typeof definition.$schema === 'string') {
+    return true;
+  }
+  if ('rules' in definition || 'requiredKeys' in definition || 'optionalKeys' in definition) {
+    return false;
+  }
+  return JSON_SCHEMA_MARKERS.some((keyword) => keyword in definition);
+}
+
+/**
+ * Resolve a local `$ref` (`#`, `#/definitions/name`, `#/$defs/name`, ...)
+ * @param {object} root - Root schema document
+ * @param {string} ref - Reference
+ * @returns {any} Referenced schema
+ * @throws {Error} If the reference is not local or does not resolve
+ */
+function resolveRef(root, ref) {
+  if (typeof ref !== 'string' || !ref.startsWith('#')) {
+    throw new Error(
+      `Unsupported $ref "${ref}": only local references (#/...) are supported`
+    );
+  }
+
+  let target = root;
+  const pointer = decodeURIComponent(ref.slice(1));
+  if (pointer) {
+    for (const token of pointer.replace(/^\//, '').split('/')) {
+      const name = token.replace(/~1/g, '/').replace(/~0/g, '~');
+      if (
+        target === null ||
+        typeof target !== 'object' ||
+        !Object.prototype.hasOwnProperty.call(target, name)
+      ) {
+        throw new Error(`Cannot resolve $ref "${ref}"`);
+      }
+      target = target[name];
+    }
+  }
+  return target;
+}
+
+/**
+ * Get the JSON Schema type of a value
+ * @param {any} value - Value
+ * @returns {string}
+ */
+function getJsonType(value) {
+  if (typeof value === 'number' && Number.isInteger(value)) {
+    return 'integer';
+  }
+  return utils.getType(value);
+}
+
+/**
+ * Check whether a value has a JSON Schema type
+ * @param {any} value - Value
+ * @param {string} type - JSON Schema type
+ * @returns {boolean}
+ */
+function hasType(value, type) {
+  const actual = getJsonType(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+/**
+ * Format a list of allowed values for messages
+ * @param {array} values - Allowed values
+ * @returns {string}
+ */
+function formatValues(values) {
+  return values
+    .map((value) => (typeof value === 'string' ? value : JSON.stringify(value)))
+    .join(', ');
+}
+
+/**
+ * Validator for one schema document. `$ref`s resolve against the root.
+ */
+class JsonSchemaValidator {
+  constructor(root) {
+    this.root = root;
+  }
+
+  /**
+   * Validate a value against a (sub)schema
+   * @param {any} value - Value to validate
+   * @param {object|boolean} schema - Schema
+   * @param {string} keyPath - Path of the value
+   * @returns {array} Issue objects
+   */
+  validate(value, schema, keyPath) {
+    if (schema === true || schema === undefined) {
+      return [];
+    }
+    if (schema === false) {
+      return [this.error(keyPath, 'Value is not allowed by the schema')];
+    }
+
+    const issues = [];
+
+    if (schema.$ref !== undefined) {
+      issues.push(...this.validate(value, resolveRef(this.root, schema.$ref), keyPath));
+    }
+
+    const typeIssue = this.validateType(value, schema, keyPath);
+    if (typeIssue) {
+      // Further keywords would only repeat the type mismatch
+      issues.push(typeIssue);
+      return issues;
+    }
+
+    if (
+      schema.enum !== undefined &&
+      !schema.enum.some((allowed) => utils.isDeepEqual(allowed, value))
+    ) {
+      issues.push(this.error(keyPath, `Value must be one of: ${formatValues(schema.enum)}`));
+    }
+    if (schema.const !== undefined && !utils.isDeepEqual(schema.const, value)) {
+      issues.push(this.error(keyPath, `Value must be ${formatValues([schema.const])}`));
+    }
+
+    if (typeof value === 'string') {
+      issues.push(...this.validateString(value, schema, keyPath));
+    } else if (typeof value === 'number') {
+      issues.push(...this.validateNumber(value, schema, keyPath));
+    } else if (Array.isArray(value)) {
+      issues.push(...this.validateArray(value, schema, keyPath));
+    } else if (value !== null && typeof value === 'object') {
+      issues.push(...this.validateObject(value, schema, keyPath));
+    }
+
+    issues.push(...this.validateCombinators(value, schema, keyPath));
+    return issues;
+  }
+
+  validateType(value, schema, keyPath) {
+    if (schema.type === undefined) {
+      return null;
+    }
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (types.some((type) => hasType(value, type))) {
+      return null;
+    }
+    const actual = getJsonType(value) === 'integer' ? 'number' : getJsonType(value);
+    return this.error(keyPath, `Invalid type '${actual}', expected '${types.join("' or '")}'`);
+  }
+
+  validateString(value, schema, keyPath) {
+    const issues = [];
+    // Lengths count code points, not UTF-16 units
+    const length = Array.from(value).length;
+
+    if (schema.minLength !== undefined && length < schema.minLength) {
+      issues.push(
+        this.error(keyPath, `String length is ${length}, minimum is ${schema.minLength}`)
+      );
+    }
+    if (schema.maxLength !== undefined && length > schema.maxLength) {
+      issues.push(
+        this.error(keyPath, `String length is ${length}, maximum is ${schema.maxLength}`)
+      );
+    }
+    if (schema.pattern !== undefined && !new RegExp(schema.pattern, 'u').test(value)) {
+      issues.push(this.error(keyPath, 'Value does not match required pattern'));
+    }
+    return issues;
+  }
+
+  validateNumber(value, schema, keyPath) {
+    const issues = [];
+    const bound = (limit, exclusive) => (typeof limit === 'number' ? { limit, exclusive } : null);
+
+    // Draft-04 style boolean exclusive bounds apply to minimum/maximum
+    const lower =
+      bound(schema.exclusiveMinimum, true) ||
+      bound(schema.minimum, schema.exclusiveMinimum === true);
+    const upper =
+      bound(schema.exclusiveMaximum, true) ||
+      bound(schema.maximum, schema.exclusiveMaximum === true);
+
+    if (lower && (lower.exclusive ? value <= lower.limit : value < lower.limit)) {
+      const qualifier = lower.exclusive ? 'must be greater than' : 'minimum is';
+      issues.push(this.error(keyPath, `Value is ${value}, ${qualifier} ${lower.limit}`));
+    }
+    if (upper && (upper.exclusive ? value >= upper.limit : value > upper.limit)) {
+      const qualifier = upper.exclusive ? 'must be less than' : 'maximum is';
+      issues.push(this.error(keyPath, `Value is ${value}, ${qualifier} ${upper.limit}`));
+    }
+    if (schema.multipleOf !== undefined) {
+      const quotient = value / schema.multipleOf;
+      if (Math.abs(quotient - Math.round(quotient)) > 1e-9) {
+        issues.push(
+          this.error(keyPath, `Value is ${value}, must be a multiple of ${schema.multipleOf}`)
+        );
+      }
+    }
+    return issues;
+  }
+
+  validateObject(value, schema, keyPath) {
+    const issues = [];
+    const properties = schema.properties || {};
+    const patternProperties = schema.patternProperties || {};
+
+    for (const key of schema.required || []) {
+      if (!Object.prototype.hasOwnProperty.call(value, key)) {
+        issues.push({
+          key: utils.joinPath(keyPath, key),
+          severity: 'ERROR',
+          message: 'Missing required key',
+          rule: 'missing_required_key',
+        });
+      }
+    }
+
+    const count = Object.keys(value).length;
+    if (schema.minProperties !== undefined && count < schema.minProperties) {
+      issues.push(
+        this.error(keyPath, `Object has ${count} keys, minimum is ${schema.minProperties}`)
+      );
+    }
+    if (schema.maxProperties !== undefined && count > schema.maxProperties) {
+      issues.push(
+        this.error(keyPath, `Object has ${count} keys, maximum is ${schema.maxProperties}`)
+      );
+    }
+
+    for (const key of Object.keys(value)) {
+      const childPath = utils.joinPath(keyPath, key);
+      let matched = false;
+
+      if (Object.prototype.hasOwnProperty.call(properties, key)) {
+        matched = true;
+        issues.push(...this.validate(value[key], properties[key], childPath));
+      }
+      for (const [pattern, propertySchema] of Object.entries(patternProperties)) {
+        if (new RegExp(pattern, 'u').test(key)) {
+          matched = true;
+          issues.push(...this.validate(value[key], propertySchema, childPath));
+        }
+      }
+
+      if (matched || schema.additionalProperties === undefined) {
+        continue;
+      }
+      if (schema.additionalProperties === false) {
+        issues.push({
+          key: childPath,
+          severity: 'WARNING',
+          message: 'Unexpected key not defined in schema',
+          rule: 'unexpected_key',
+        });
+      } else {
+        issues.push(...this.validate(value[key], schema.additionalProperties, childPath));
+      }
+    }
+
+    return issues;
+  }
+
+  validateArray(value, schema, keyPath) {
+    const issues = [];
+
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      issues.push(
+        this.error(keyPath, `Array has ${value.length} items, minimum is ${schema.minItems}`)
+      );
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      issues.push(
+        this.error(keyPath, `Array has ${value.length} items, maximum is ${schema.maxItems}`)
+      );
+    }
+    if (schema.uniqueItems === true) {
+      const duplicate = value.findIndex((item, index) =>
+        value.slice(0, index).some((other) => utils.isDeepEqual(other, item))
+      );
+      if (duplicate !== -1) {
+        issues.push(this.error(utils.joinPath(keyPath, duplicate), 'Duplicate array item'));
+      }
+    }
+
+    // Draft-07 tuples use an array of `items`; 2020-12 uses `prefixItems`
+    const prefixItems = Array.isArray(schema.items) ? schema.items : schema.prefixItems || [];
+    const restItems = Array.isArray(schema.items) ? schema.additionalItems : schema.items;
+
+    value.forEach((item, index) => {
+      const itemSchema = index < prefixItems.length ? prefixItems[index] : restItems;
+      issues.push(...this.validate(item, itemSchema, utils.joinPath(keyPath, index)));
+    });
+
+    return issues;
+  }
+
+  validateCombinators(value, schema, keyPath) {
+    const issues = [];
+    const matches = (subschema) => this.validate(value, subschema, keyPath).length === 0;
+
+    for (const subschema of schema.allOf || []) {
+      issues.push(...this.validate(value, subschema, keyPath));
+    }
+    if (schema.anyOf !== undefined && !schema.anyOf.some(matches)) {
+      issues.push(this.error(keyPath, 'Value does not match any of the allowed schemas (anyOf)'));
+    }
+    if (schema.oneOf !== undefined) {
+      const count = schema.oneOf.filter(matches).length;
+      if (count === 0) {
+        issues.push(this.error(keyPath, 'Value does not match any of the allowed schemas (oneOf)'));
+      } else if (count > 1) {
+        issues.push(
+          this.error(keyPath, `Value matches ${count} schemas, expected exactly one (oneOf)`)
+        );
+      }
+    }
+    if (schema.not !== undefined && matches(schema.not)) {
+      issues.push(this.error(keyPath, 'Value matches a schema it must not match (not)'));
+    }
+
+    return issues;
+  }
+
+  error(keyPath, message) {
+    return { key: keyPath, severity: 'ERROR', message, rule: 'validation_error' };
+  }
+}
+
+/**
+ * Validate a configuration object against a JSON Schema document
+ * @param {object} config - Configuration object
+ * @param {object|boolean} schema - JSON Schema document
+ * @returns {array} Issue objects (missing_required_key, unexpected_key for
+ *   additionalProperties: false, validation_error for everything else)
+ */
+function validateJsonSchema(config, schema) {
+  return new JsonSchemaValidator(schema).validate(config, schema, '');
+}
+
+/**
+ * Collect a schema with the schemas it applies through `$ref` and `allOf`
+ * @param {object} root - Root schema document
+ * @param {any} schema - Schema
+ * @param {Set} [seen] - References already followed
+ * @returns {object[]} Object schemas
+ */
+function expandSchema(root, schema, seen = new Set()) {
+  if (schema === null || typeof schema !== 'object' || Array.isArray(schema)) {
+    return [];
+  }
+  const schemas = [schema];
+  if (typeof schema.$ref === 'string' && !seen.has(schema.$ref)) {
+    seen.add(schema.$ref);
+    try {
+      schemas.push(...expandSchema(root, resolveRef(root, schema.$ref), seen));
+    } catch (error) {
+      // Unresolvable references are reported by validateJsonSchemaDefinition
+    }
+  }
+  for (const subschema of Array.isArray(schema.allOf) ? schema.allOf : []) {
+    schemas.push(...expandSchema(root, subschema, seen));
+  }
+  return schemas;
+}
+
+/**
+ * Build the coercion rule (see coerce.coerceValue) for the `type` of schemas
+ * @param {object} root - Root schema document
+ * @param {object[]} schemas - Schemas applying to a value (see expandSchema)
+ * @returns {object|null} Rule, or null if strings are allowed or no type converts
+ */
+function coercionRule(root, schemas) {
+  const typed = schemas.find((schema) => schema.type !== undefined);
+  if (!typed) {
+    return null;
+  }
+  const types = Array.isArray(typed.type) ? typed.type : [typed.type];
+  const type = ['integer', 'number', 'boolean', 'array'].find((name) => types.includes(name));
+  if (types.includes('string') || !type) {
+    return null;
+  }
+  if (type !== 'array') {
+    return { type: type === 'integer' ? 'number' : type };
+  }
+
+  const rule = { type };
+  const items = schemas.map((schema) => schema.items).find((item) => item !== undefined);
+  const itemRule = Array.isArray(items) ? null : coercionRule(root, expandSchema(root, items));
+  if (itemRule) {
+    rule.items = itemRule;
+  }
+  return rule;
+}
+
+/**
+ * Coerce the string values of a configuration to the `type`s of a JSON Schema
+ * @param {object} config - Configuration object
+ * @param {object|boolean} root - JSON Schema document
+ * @returns {{data: object, issues: array}} Coerced copy of the configuration,
+ *   and type_coercion issues for values that cannot be converted (left unchanged)
+ */
+function coerceJsonSchema(config, root) {
+  const issues = [];
+
+  const visit = (value, schemas, keyPath) => {
+    if (typeof value === 'string') {
+      const rule = keyPath ? coercionRule(root, schemas) : null;
+      if (!rule) {
+        return value;
+      }
+      const coerced = coerce.coerceValue(value, rule);
+      if (coerced.error) {
+        issues.push({
+          key: keyPath,
+          severity: 'ERROR',
+          message: coerced.error,
+          rule: 'type_coercion',
+        });
+        return value;
+      }
+      return coerced.value;
+    }
+
+    if (Array.isArray(value)) {
+      return value.map((item, index) => {
+        const itemSchemas = schemas.flatMap((schema) => {
+          const prefixItems = Array.isArray(schema.items) ? schema.items : schema.prefixItems;
+          const restItems = Array.isArray(schema.items) ? schema.additionalItems : schema.items;
+          const itemSchema =
+            prefixItems && index < prefixItems.length ? prefixItems[index] : restItems;
+          return expandSchema(root, itemSchema);
+        });
+        return visit(item, itemSchemas, utils.joinPath(keyPath, index));
+      });
+    }
+
+    if (value !== null && typeof value === 'object') {
+      const result = {};
+      for (const [key, child] of Object.entries(value)) {
+        const childSchemas = schemas.flatMap((schema) => {
+          const properties = schema.properties || {};
+          if (Object.prototype.hasOwnProperty.call(properties, key)) {
+            return expandSchema(root, properties[key]);
+          }
+          const matching = Object.entries(schema.patternProperties || {})
+            .filter(([pattern]) => new RegExp(pattern, 'u').test(key))
+            .flatMap(([, propertySchema]) => expandSchema(root, propertySchema));
+          return matching.length > 0
+            ? matching
+            : expandSchema(root, schema.additionalProperties);
+        });
+        utils.defineEntry(result, key, visit(child, childSchemas, utils.joinPath(keyPath, key)));
+      }
+      return result;
+    }
+
+    return value;
+  };
+
+  return { data: visit(config, expandSchema(root, root), ''), issues };
+}
+
+/**
+ * Check whether a schema leads to a target schema through `$ref`s and the
+ * combinators that apply to the same value (allOf, anyOf, oneOf, not)
+ * @param {object} root - Root schema document
+ * @param {any} schema - Schema to start from
+ * @param {object} target - Schema to look for
+ * @param {Set} [visited] - Schemas already followed
+ * @returns {boolean}
+ */
+function leadsTo(root, schema, target, visited = new Set()) {
+  if (schema === target) {
+    return true;
+  }
+  if (schema === null || typeof schema !== 'object' || visited.has(schema)) {
+    return false;
+  }
+  visited.add(schema);
+
+  const next = [schema.not];
+  for (const keyword of ['allOf', 'anyOf', 'oneOf']) {
+    if (Array.isArray(schema[keyword])) {
+      next.push(...schema[keyword]);
+    }
+  }
+  if (schema.$ref !== undefined) {
+    try {
+      next.push(resolveRef(root, schema.$ref));
+    } catch (error) {
+      // Reported as an unresolvable reference
+    }
+  }
+  return next.some((child) => leadsTo(root, child, target, visited));
+}
+
+/**
+ * Check a JSON Schema document for errors that would break validation:
+ * unresolvable and circular `$ref`s, unknown types and invalid patterns. A
+ * `$ref` is circular when it leads back to its own schema without descending
+ * into the value, e.g. `{"$ref": "#"}`; recursive schemas such as
+ * `{"properties": {"child": {"$ref": "#"}}}` are fine.
+ * @param {object|boolean} definition - JSON Schema document
+ * @returns {string[]} Error messages, empty if the schema is usable
+ */
+function validateJsonSchemaDefinition(definition) {
+  const errors = [];
+
+  const check = (schema, location) => {
+    if (schema === null || typeof schema !== 'object' || Array.isArray(schema)) {
+      return;
+    }
+
+    if (schema.$ref !== undefined) {
+      try {
+        if (leadsTo(definition, resolveRef(definition, schema.$ref), schema)) {
+          errors.push(`${location}: Circular $ref "${schema.$ref}"`);
+        }
+      } catch (error) {
+        errors.push(`${location}: ${error.message}`);
+      }
+    }
+    if (schema.type !== undefined) {
+      const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+      for (const type of types.filter((candidate) => !JSON_SCHEMA_TYPES.includes(candidate))) {
+        errors.push(`${location}/type: unknown type "${type}"`);
+      }
+    }
+    const patterns = [
+      ...(typeof schema.pattern === 'string' ? [schema.pattern] : []),
+      ...Object.keys(schema.patternProperties || {}),
+    ];
+    for (const pattern of patterns) {
+      try {
+        new RegExp(pattern, 'u');
+      } catch (error) {
+        errors.push(`${location}: invalid pattern: ${error.message}`);
+      }
+    }
+
+    for (const keyword of SUBSCHEMA_KEYWORDS.single) {
+      check(schema[keyword], `${location}/${keyword}`);
+    }
+    for (const keyword of SUBSCHEMA_KEYWORDS.list) {
+      if (Array.isArray(schema[keyword])) {
+        schema[keyword].forEach((child, index) => check(child, `${location}/${keyword}/${index}`));
+      }
+    }
+    for (const keyword of SUBSCHEMA_KEYWORDS.map) {
+      const children = schema[keyword];
+      if (children !== null && typeof children === 'object') {
+        for (const [name, child] of Object.entries(children)) {
+          check(child, `${location}/${keyword}/${name}`);
+        }
+      }
+    }
+  };
+
+  check(definition, '#');
+  return errors;
+}
+
+module.exports = {
+  isJsonSchema,
+  coerceJsonSchema,
+  validateJsonSchema,
+  validateJsonSchemaDefinition,
+};
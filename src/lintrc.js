@@ -0,0 +1,453 @@
+/**
+ * Project lint configuration: `.configlintrc.json` (or `.configlintrc`),
+ * or the `configlint` key of package.json
+ *
+ * {
+ *   "rules": {
+ *     "hardcoded_secret": "error",
+ *     "unsafe_port": ["warning", { "allowedPorts": [443] }]
+ *   },
+ *   "overrides": [
+ *     { "files": ["ingress/**"], "rules": { "public_binding": "off" } }
+ *   ]
+ * }
+ *
+ * A rule is set to `off`, `on` (its own severity), `warning` or `error`,
+ * optionally with options as `[severity, options]`. Overrides apply, in
+ * order, to the files matching their globs.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const json = require('./json');
+const plugins = require('./plugins');
+const rules = require('./rules');
+const utils = require('./utils');
+
+/**
+ * Lint configuration files, looked up in this order in each directory
+ */
+const CONFIG_FILE_NAMES = ['.configlintrc.json', '.configlintrc'];
+
+/**
+ * Key of the lint configuration in package.json
+ */
+const PACKAGE_KEY = 'configlint';
+
+/**
+ * Rule ids that can be configured
+ */
+const RULE_IDS = [
+  // Schema validation
+  'validation_error',
+  'missing_required_key',
+  'unexpected_key',
+  'forbidden_key',
+  'deprecated_key',
+  'type_coercion',
+  'required_if',
+  'required_unless',
+  'mutually_exclusive_keys',
+  'key_comparison',
+  // .env syntax and interpolation
+  'env_missing_assignment',
+  'env_invalid_key',
+  'env_unterminated_quote',
+  'env_unexpected_content',
+  'env_undefined_variable',
+  'env_invalid_reference',
+  'env_circular_reference',
+  // Suppression comments
+  'unjustified_suppression',
+  'unknown_suppression_rule',
+  'unused_suppression',
+  // Security
+  ...Object.keys(rules.RULE_OPTIONS),
+];
+
+/**
+ * Rule severities as written in the lint configuration
+ */
+const SEVERITIES = {
+  off: 'off',
+  on: 'on',
+  warning: 'WARNING',
+  error: 'ERROR',
+};
+
+const CONFIG_KEYS = ['plugins', 'rules', 'overrides'];
+const OVERRIDE_KEYS = ['files', 'rules'];
+
+const isReference = (reference) => typeof reference === 'string' && reference.length > 0;
+
+/**
+ * Check the value of a rule option
+ * @param {string} where - Location of the option, e.g. `rules["unsafe_port"].allowedPorts`
+ * @param {string} type - Option type from rules.RULE_OPTIONS
+ * @param {any} value - Option value
+ * @returns {string[]} Error messages
+ */
+function validateRuleOption(where, type, value) {
+  if (type === 'ports') {
+    const isPort = (port) => Number.isInteger(port) && port >= 1 && port <= 65535;
+    return Array.isArray(value) && value.every(isPort)
+      ? []
+      : [`${where} must be an array of port numbers`];
+  }
+  if (type === 'number') {
+    return typeof value === 'number' && Number.isFinite(value) && value >= 0
+      ? []
+      : [`${where} must be a non-negative number`];
+  }
+
+  if (!(Array.isArray(value) && value.every((item) => typeof item === 'string'))) {
+    return [`${where} must be an array of strings`];
+  }
+  if (type === 'patterns') {
+    for (const pattern of value) {
+      try {
+        new RegExp(pattern, 'i');
+      } catch (error) {
+        return [`${where} contains an invalid regular expression: ${error.message}`];
+      }
+    }
+  }
+  return [];
+}
+
+/**
+ * Options of every configurable rule, built-in and custom
+ * @param {object[]} customRules - Rules of the rule packs
+ * @returns {object} Option types by option name, keyed by rule id
+ */
+function ruleCatalog(customRules) {
+  const catalog = {};
+  for (const ruleId of RULE_IDS) {
+    catalog[ruleId] = rules.RULE_OPTIONS[ruleId] || {};
+  }
+  for (const rule of customRules) {
+    catalog[rule.id] = rule.options || {};
+  }
+  return catalog;
+}
+
+/**
+ * Check the rule settings of a lint configuration or override
+ * @param {string} where - Location of the settings, e.g. `overrides[0].rules`
+ * @param {any} ruleSettings - Settings keyed by rule id
+ * @param {object} catalog - Options of the known rules (see ruleCatalog)
+ * @returns {string[]} Error messages
+ */
+function validateRuleSettings(where, ruleSettings, catalog) {
+  if (ruleSettings === null || typeof ruleSettings !== 'object' || Array.isArray(ruleSettings)) {
+    return [`${where} must be an object keyed by rule id`];
+  }
+
+  const errors = [];
+  for (const [ruleId, setting] of Object.entries(ruleSettings)) {
+    const at = `${where}["${ruleId}"]`;
+    if (!catalog[ruleId]) {
+      const ruleIds = Object.keys(catalog);
+      errors.push(`${where}: ${utils.unknownNameMessage('rule', ruleId, ruleIds)}`);
+      continue;
+    }
+
+    const [severity, options] = Array.isArray(setting) ? setting : [setting];
+    if (typeof severity !== 'string' || !SEVERITIES[severity.toLowerCase()]) {
+      errors.push(`${at} must be one of: ${Object.keys(SEVERITIES).join(', ')}`);
+    }
+    if (options === undefined) {
+      continue;
+    }
+
+    const allowed = catalog[ruleId];
+    if (options === null || typeof options !== 'object' || Array.isArray(options)) {
+      errors.push(`${at} options must be an object`);
+      continue;
+    }
+    for (const [name, value] of Object.entries(options)) {
+      if (!allowed[name]) {
+        const names = Object.keys(allowed);
+        errors.push(
+          names.length > 0
+            ? `${at}: ${utils.unknownNameMessage('option', name, names)}`
+            : `${at}: rule ${ruleId} has no options`
+        );
+      } else {
+        errors.push(...validateRuleOption(`${at}.${name}`, allowed[name], value));
+      }
+    }
+  }
+  return errors;
+}
+
+/**
+ * Check a lint configuration for structural errors, unknown rules and
+ * unknown options
+ * @param {any} definition - Lint configuration
+ * @param {object[]} [customRules] - Rules of the rule packs named by `plugins`
+ * @returns {string[]} Error messages, empty if the configuration is valid
+ */
+function validateLintConfig(definition, customRules = []) {
+  if (definition === null || typeof definition !== 'object' || Array.isArray(definition)) {
+    return ['Lint configuration must be an object'];
+  }
+
+  const errors = [];
+  for (const key of Object.keys(definition)) {
+    if (!CONFIG_KEYS.includes(key)) {
+      const message = utils.unknownNameMessage('lint configuration property', key, CONFIG_KEYS);
+      errors.push(message.charAt(0).toUpperCase() + message.slice(1));
+    }
+  }
+
+  const { plugins: references } = definition;
+  if (
+    references !== undefined &&
+    !(Array.isArray(references) && references.every((reference) => isReference(reference)))
+  ) {
+    errors.push('plugins must be an array of rule pack paths or npm module names');
+  }
+
+  const catalog = ruleCatalog(customRules);
+  if (definition.rules !== undefined) {
+    errors.push(...validateRuleSettings('rules', definition.rules, catalog));
+  }
+
+  const { overrides } = definition;
+  if (overrides !== undefined && !Array.isArray(overrides)) {
+    errors.push('overrides must be an array');
+  } else {
+    (overrides || []).forEach((override, index) => {
+      const where = `overrides[${index}]`;
+      if (override === null || typeof override !== 'object' || Array.isArray(override)) {
+        errors.push(`${where} must be an object with files and rules`);
+        return;
+      }
+      for (const key of Object.keys(override)) {
+        if (!OVERRIDE_KEYS.includes(key)) {
+          errors.push(`${where}: ${utils.unknownNameMessage('property', key, OVERRIDE_KEYS)}`);
+        }
+      }
+      const { files } = override;
+      const isGlob = (glob) => typeof glob === 'string' && glob.length > 0;
+      if (!(isGlob(files) || (Array.isArray(files) && files.length > 0 && files.every(isGlob)))) {
+        errors.push(`${where}.files must be a glob or an array of globs`);
+      }
+      errors.push(...validateRuleSettings(`${where}.rules`, override.rules || {}, catalog));
+    });
+  }
+
+  return errors;
+}
+
+/**
+ * Convert a file glob to a regular expression
+ *
+ * `*` and `?` match within a path segment, `**` across segments and
+ * `{a,b}` either alternative.
+ * @param {string} glob - Glob, e.g. `services/**\/*.env`
+ * @returns {RegExp}
+ */
+function globToRegExp(glob) {
+  let source = '';
+  let braceDepth = 0;
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    if (char === '*' && glob[i + 1] === '*') {
+      const isSegment = glob[i + 2] === '/';
+      source += isSegment ? '(?:.*/)?' : '.*';
+      i += isSegment ? 2 : 1;
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '{') {
+      source += '(?:';
+      braceDepth++;
+    } else if (char === '}' && braceDepth > 0) {
+      source += ')';
+      braceDepth--;
+    } else if (char === ',' && braceDepth > 0) {
+      source += '|';
+    } else {
+      source += char.replace(/[.+^$(){}|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Whether a file matches a glob of the lint configuration. Globs without
+ * a slash match the file name in any directory, like `*.env`; others match
+ * the path relative to the directory of the lint configuration.
+ * @param {string} glob - File glob
+ * @param {string} relativePath - File path relative to the configuration directory
+ * @returns {boolean}
+ */
+function matchesGlob(glob, relativePath) {
+  const target = glob.includes('/') ? relativePath : path.posix.basename(relativePath);
+  return globToRegExp(glob.replace(/^\.\//, '')).test(target);
+}
+
+/**
+ * Normalize the rule settings of a lint configuration or override
+ * @param {object} ruleSettings - Settings keyed by rule id
+ * @returns {object} Settings as {severity, options} keyed by rule id
+ */
+function normalizeRuleSettings(ruleSettings) {
+  const normalized = {};
+  for (const [ruleId, setting] of Object.entries(ruleSettings || {})) {
+    const [severity, options] = Array.isArray(setting) ? setting : [setting];
+    normalized[ruleId] = { severity: SEVERITIES[severity.toLowerCase()], options };
+  }
+  return normalized;
+}
+
+/**
+ * Find the lint configuration for a directory, looking in it and then in
+ * each parent directory
+ * @param {string} startDir - Directory to start from (e.g. that of the validated file)
+ * @returns {string|null} Path of the `.configlintrc.json`, `.configlintrc` or
+ *   package.json (with a `configlint` key) found first
+ */
+function findLintConfig(startDir) {
+  let dir = path.resolve(startDir);
+  for (;;) {
+    for (const fileName of CONFIG_FILE_NAMES) {
+      const candidate = path.join(dir, fileName);
+      if (fs.existsSync(candidate)) {
+        return candidate;
+      }
+    }
+
+    const packagePath = path.join(dir, 'package.json');
+    if (fs.existsSync(packagePath)) {
+      try {
+        const packageJson = JSON.parse(fs.readFileSync(packagePath, 'utf-8'));
+        if (packageJson && packageJson[PACKAGE_KEY] !== undefined) {
+          return packagePath;
+        }
+      } catch (error) {
+        // A broken package.json is not ours to report
+      }
+    }
+
+    const parent = path.dirname(dir);
+    if (parent === dir) {
+      return null;
+    }
+    dir = parent;
+  }
+}
+
+/**
+ * Load and check a lint configuration file
+ * @param {string} filePath - Path of a lint configuration file or package.json
+ * @returns {{rules: object, overrides: array, baseDir: string, customRules: array}}
+ *   Normalized configuration; override globs are relative to `baseDir`, and
+ *   `customRules` holds the rules of its rule packs (see plugins.js)
+ * @throws {Error} If the file cannot be read, a rule pack cannot be loaded or
+ *   the configuration is invalid
+ */
+function loadLintConfig(filePath) {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`Lint configuration not found: ${filePath}`);
+  }
+
+  let definition;
+  try {
+    // Comments are allowed in the lint configuration, as in tsconfig.json
+    const flavor = path.basename(filePath) === 'package.json' ? 'json' : 'jsonc';
+    definition = json.parseJson(fs.readFileSync(filePath, 'utf-8'), { flavor }).data;
+  } catch (error) {
+    throw new Error(`Invalid lint configuration file ${filePath}: ${error.message}`);
+  }
+  if (path.basename(filePath) === 'package.json') {
+    definition = definition[PACKAGE_KEY] === undefined ? {} : definition[PACKAGE_KEY];
+  }
+
+  // Rule packs are loaded first: their rules can be configured like built-in ones
+  const baseDir = path.dirname(path.resolve(filePath));
+  const references =
+    definition && Array.isArray(definition.plugins) && definition.plugins.every(isReference)
+      ? definition.plugins
+      : [];
+  const customRules = plugins.loadRulePacks(references, baseDir, RULE_IDS);
+
+  const errors = validateLintConfig(definition, customRules);
+  if (errors.length > 0) {
+    throw new Error(
+      `Invalid lint configuration ${filePath}:\n${errors.map((error) => `  - ${error}`).join('\n')}`
+    );
+  }
+
+  return {
+    rules: normalizeRuleSettings(definition.rules),
+    overrides: (definition.overrides || []).map((override) => ({
+      files: [].concat(override.files),
+      rules: normalizeRuleSettings(override.rules),
+    })),
+    baseDir,
+    customRules,
+  };
+}
+
+/**
+ * Resolve the rule settings that apply to a file
+ *
+ * Overrides matching the file apply in order after the base rules; a later
+ * setting replaces the severity of an earlier one, and its options when it
+ * has any.
+ * @param {object} lintConfig - Configuration from loadLintConfig
+ * @param {string} [filePath] - Validated file; overrides are skipped without one
+ *   (e.g. for standard input)
+ * @returns {object} Settings as {severity, options} keyed by rule id
+ */
+function resolveRuleSettings(lintConfig, filePath) {
+  const layers = [lintConfig.rules];
+  const relativePath = filePath
+    ? path.relative(lintConfig.baseDir, path.resolve(filePath)).split(path.sep).join('/')
+    : null;
+  // Files outside the directory of the lint configuration match no override
+  if (relativePath && !relativePath.startsWith('../')) {
+    for (const override of lintConfig.overrides) {
+      if (override.files.some((glob) => matchesGlob(glob, relativePath))) {
+        layers.push(override.rules);
+      }
+    }
+  }
+
+  return mergeRuleSettings(layers);
+}
+
+/**
+ * Merge layers of rule settings: a later severity replaces an earlier one,
+ * and later options are merged over earlier ones, option by option
+ * @param {object[]} layers - Settings by rule id, in order of precedence (lowest first)
+ * @returns {object} Settings by rule id
+ */
+function mergeRuleSettings(layers) {
+  const settings = {};
+  for (const layer of layers) {
+    for (const [ruleId, setting] of Object.entries(layer)) {
+      const previous = settings[ruleId] || {};
+      settings[ruleId] = {
+        severity: setting.severity,
+        options: setting.options ? { ...previous.options, ...setting.options } : previous.options,
+      };
+    }
+  }
+  return settings;
+}
+
+module.exports = {
+  CONFIG_FILE_NAMES,
+  RULE_IDS,
+  validateLintConfig,
+  findLintConfig,
+  loadLintConfig,
+  resolveRuleSettings,
+  mergeRuleSettings,
+  matchesGlob,
+};
@@ -0,0 +1,234 @@
+/**
+ * Extraction of environment variables from deployment manifests
+ *
+ * Supports docker-compose files (`services.<name>.environment`, as a mapping
+ * or a list of `KEY=value` strings) and Kubernetes manifests (`ConfigMap`
+ * data and the container `env:` lists of Pods and workload templates).
+ */
+
+const path = require('path');
+const utils = require('./utils');
+
+/**
+ * Path of the pod spec inside each Kubernetes workload kind
+ */
+const POD_SPEC_PATHS = {
+  Pod: 'spec',
+  Deployment: 'spec.template.spec',
+  StatefulSet: 'spec.template.spec',
+  DaemonSet: 'spec.template.spec',
+  ReplicaSet: 'spec.template.spec',
+  ReplicationController: 'spec.template.spec',
+  Job: 'spec.template.spec',
+  CronJob: 'spec.jobTemplate.spec.template.spec',
+};
+
+/**
+ * Kubernetes kinds that identify a manifest (besides the workload kinds above)
+ */
+const KUBERNETES_KINDS = [
+  'ConfigMap',
+  'Secret',
+  'Service',
+  'Ingress',
+  'Namespace',
+  'ServiceAccount',
+  'PersistentVolumeClaim',
+  'HorizontalPodAutoscaler',
+  'NetworkPolicy',
+];
+
+/**
+ * File names of docker-compose files, e.g. docker-compose.yml or compose.prod.yaml
+ */
+const COMPOSE_FILE_PATTERN = /^(?:docker-)?compose(?:\.[\w-]+)*\.ya?ml$/i;
+
+/**
+ * Whether a value is a plain object
+ * @param {any} value - Value to check
+ * @returns {boolean}
+ */
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Extract the environment of each docker-compose service
+ * @param {object} config - Parsed docker-compose document
+ * @returns {array} Environment groups
+ */
+function extractComposeEnvironments(config) {
+  const groups = [];
+
+  for (const [service, definition] of Object.entries(config.services)) {
+    if (!isObject(definition) || definition.environment === undefined) {
+      continue;
+    }
+
+    const environmentPath = utils.joinPath(utils.joinPath('services', service), 'environment');
+    const environment = definition.environment;
+    const variables = [];
+
+    if (Array.isArray(environment)) {
+      environment.forEach((entry, index) => {
+        if (typeof entry !== 'string') {
+          return;
+        }
+        // `- KEY` without a value passes the variable through from the host
+        const separator = entry.indexOf('=');
+        variables.push({
+          key: separator === -1 ? entry : entry.slice(0, separator),
+          value: separator === -1 ? null : entry.slice(separator + 1),
+          path: utils.joinPath(environmentPath, index),
+        });
+      });
+    } else if (isObject(environment)) {
+      for (const [key, value] of Object.entries(environment)) {
+        variables.push({ key, value, path: utils.joinPath(environmentPath, key) });
+      }
+    }
+
+    const container = definition.container_name;
+    groups.push({
+      service,
+      container: typeof container === 'string' ? container : undefined,
+      variables,
+    });
+  }
+
+  return groups;
+}
+
+/**
+ * Extract the environment of a Kubernetes manifest
+ * @param {object} config - Parsed Kubernetes document
+ * @returns {array} Environment groups
+ */
+function extractKubernetesEnvironments(config) {
+  const name = isObject(config.metadata) ? config.metadata.name : undefined;
+  const service = name ? `${config.kind}/${name}` : config.kind;
+
+  if (config.kind === 'ConfigMap') {
+    if (!isObject(config.data)) {
+      return [];
+    }
+    const variables = Object.entries(config.data).map(([key, value]) => ({
+      key,
+      value,
+      path: utils.joinPath('data', key),
+    }));
+    return [{ service, container: undefined, variables }];
+  }
+
+  const podSpecPath = POD_SPEC_PATHS[config.kind];
+  if (!podSpecPath) {
+    return [];
+  }
+
+  const groups = [];
+  for (const listName of ['initContainers', 'containers']) {
+    for (const { path: containerPath, value: container } of utils.resolvePath(
+      config,
+      `${podSpecPath}.${listName}[*]`
+    )) {
+      if (!isObject(container) || !Array.isArray(container.env)) {
+        continue;
+      }
+
+      const variables = [];
+      container.env.forEach((entry, index) => {
+        // Entries using valueFrom reference secrets or fields and hold no literal value
+        if (!isObject(entry) || typeof entry.name !== 'string' || !('value' in entry)) {
+          return;
+        }
+        variables.push({
+          key: entry.name,
+          value: entry.value,
+          path: utils.joinPath(utils.joinPath(containerPath, 'env'), index),
+        });
+      });
+
+      groups.push({ service, container: container.name, variables });
+    }
+  }
+
+  return groups;
+}
+
+/**
+ * Extract the environment variables of a docker-compose or Kubernetes document
+ *
+ * Each group holds the variables of one service or container; every variable
+ * records the path of its entry in the document (for source locations).
+ * Pass-through variables without a value have a null value.
+ * @param {object} config - Parsed configuration document
+ * @returns {Array<{service: string, container: string|undefined,
+ *   variables: Array<{key: string, value: any, path: string}>}>} Empty if the
+ *   document is not a recognized manifest
+ */
+function extractEnvironments(config) {
+  switch (manifestKind(config)) {
+    case 'kubernetes':
+      return extractKubernetesEnvironments(config);
+    case 'compose':
+      return extractComposeEnvironments(config);
+    default:
+      return [];
+  }
+}
+
+/**
+ * Recognize a deployment manifest
+ * @param {any} config - Parsed configuration document
+ * @returns {string|null} 'kubernetes', 'compose', or null if the document is
+ *   not a recognized manifest
+ */
+function manifestKind(config) {
+  if (!isObject(config)) {
+    return null;
+  }
+  if (typeof config.apiVersion === 'string' && typeof config.kind === 'string') {
+    return 'kubernetes';
+  }
+  if (isObject(config.services)) {
+    return 'compose';
+  }
+  return null;
+}
+
+/**
+ * Check whether a document is a deployment manifest rather than an
+ * application configuration that happens to have `services` or `kind` keys
+ *
+ * Kubernetes manifests need a known kind and `metadata`; docker-compose files
+ * need a compose file name or a service with an `image` or `build`.
+ * @param {any} config - Parsed configuration document
+ * @param {string|null} [filePath] - Path of the file the document comes from
+ * @returns {boolean}
+ */
+function isDeploymentManifest(config, filePath) {
+  switch (manifestKind(config)) {
+    case 'kubernetes':
+      return (
+        (KUBERNETES_KINDS.includes(config.kind) ||
+          Object.prototype.hasOwnProperty.call(POD_SPEC_PATHS, config.kind)) &&
+        isObject(config.metadata)
+      );
+    case 'compose':
+      return (
+        (typeof filePath === 'string' && COMPOSE_FILE_PATTERN.test(path.basename(filePath))) ||
+        Object.values(config.services).some(
+          (service) =>
+            isObject(service) && (service.image !== undefined || service.build !== undefined)
+        )
+      );
+    default:
+      return false;
+  }
+}
+
+module.exports = {
+  extractEnvironments,
+  manifestKind,
+  isDeploymentManifest,
+};
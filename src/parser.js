@@ -4,80 +4,205 @@
 
 const fs = require('fs');
 const path = require('path');
+const json = require('./json');
+const yaml = require('./yaml');
+const toml = require('./toml');
+const ini = require('./ini');
+const dotenv = require('./dotenv');
+const interpolate = require('./interpolate');
+const suppress = require('./suppress');
 
 /**
- * Parse a JSON configuration file
- * @param {string} filePath - Path to the JSON file
- * @returns {Promise<object>}
- * @throws {Error} If file doesn't exist or JSON is invalid
+ * Format names used in error messages
  */
-async function parseJsonFile(filePath) {
+const FORMAT_NAMES = {
+  json: 'JSON',
+  jsonc: 'JSONC',
+  json5: 'JSON5',
+  env: 'env',
+  yaml: 'YAML',
+  toml: 'TOML',
+  ini: 'INI',
+  properties: 'properties',
+};
+
+/**
+ * Content parsers by file type. Each returns one entry per document:
+ * { data, locations, issues, expanded, comments }, where `locations` maps key
+ * paths to source positions (formats without position tracking return {}),
+ * `expanded` holds the data with variable references resolved (.env only) and
+ * `comments` lists the comments suppression directives are read from (formats
+ * with position tracking only).
+ */
+const CONTENT_PARSERS = {
+  json: (content, options) => [
+    json.parseJson(content, { flavor: options.lenient ? 'jsonc' : 'json' }),
+  ],
+  jsonc: (content) => [json.parseJson(content, { flavor: 'jsonc' })],
+  json5: (content) => [json.parseJson(content, { flavor: 'json5' })],
+  env: (content, options) => {
+    const parsed = dotenv.parseEnv(content);
+    const expanded = interpolate.expandEnv(parsed.data, {
+      literals: parsed.literals,
+      variables: options.variables,
+      processEnv: options.processEnv,
+    });
+    return [
+      {
+        ...parsed,
+        expanded: expanded.data,
+        issues: [...parsed.issues, ...expanded.issues],
+      },
+    ];
+  },
+  yaml: (content) => yaml.parseYamlStream(content),
+  toml: (content) => [{ data: toml.parseToml(content) }],
+  ini: (content) => [{ data: ini.parseIni(content) }],
+  properties: (content) => [{ data: ini.parseProperties(content) }],
+};
+
+/**
+ * Read a configuration file
+ * @param {string} filePath - Path to the file
+ * @returns {string}
+ * @throws {Error} If file doesn't exist or cannot be read
+ */
+function readFile(filePath) {
   try {
-    const content = fs.readFileSync(filePath, 'utf-8');
-    return JSON.parse(content);
+    return fs.readFileSync(filePath, 'utf-8');
   } catch (error) {
     if (error.code === 'ENOENT') {
       throw new Error(`File not found: ${filePath}`);
     }
-    if (error instanceof SyntaxError) {
-      throw new Error(`Invalid JSON format: ${error.message}`);
-    }
     throw new Error(`Failed to read file: ${error.message}`);
   }
 }
 
 /**
- * Parse a .env configuration file
- * @param {string} filePath - Path to the .env file
- * @returns {Promise<object>}
- * @throws {Error} If file doesn't exist or format is invalid
+ * Parse configuration content of a known type
+ *
+ * Empty YAML documents (e.g. after a trailing `---`) are dropped; every
+ * remaining document must be an object of configuration keys.
+ * @param {string} content - File content
+ * @param {string} fileType - One of the types returned by getFileType
+ * @param {object} [options] - Parser options
+ * @param {boolean} [options.lenient] - Accept comments and trailing commas in .json files
+ * @param {object} [options.variables] - Variables from other loaded files, for .env interpolation
+ * @param {object} [options.processEnv] - Process environment, for .env interpolation
+ * @returns {{data: object, type: string, documents: array, expanded: array, locations: array,
+ *   issues: array, suppressions: array}}
+ * @throws {Error} If content is invalid
  */
-async function parseEnvFile(filePath) {
+function parseConfigContent(content, fileType, options = {}) {
+  const formatName = FORMAT_NAMES[fileType];
+  if (!formatName) {
+    throw new Error(
+      `Unknown format: ${fileType}. Supported formats: ${Object.keys(FORMAT_NAMES).join(', ')}`
+    );
+  }
+
+  let parsed;
   try {
-    const content = fs.readFileSync(filePath, 'utf-8');
-    const config = {};
+    parsed = CONTENT_PARSERS[fileType](content, options);
+  } catch (error) {
+    if (error instanceof SyntaxError) {
+      throw new Error(`Invalid ${formatName} format: ${error.message}`);
+    }
+    throw error;
+  }
 
-    const lines = content.split('\n');
-    for (let i = 0; i < lines.length; i++) {
-      const line = lines[i].trim();
+  let entries = parsed.filter((entry) => entry.data !== null);
+  if (entries.length === 0) {
+    entries = [{ data: {} }];
+  }
 
-      // Skip empty lines and comments
-      if (!line || line.startsWith('#')) {
-        continue;
-      }
+  entries.forEach((entry, index) => {
+    if (typeof entry.data !== 'object' || Array.isArray(entry.data)) {
+      const subject = entries.length > 1 ? `document ${index + 1}` : 'configuration root';
+      throw new Error(`Invalid ${formatName} format: ${subject} must be an object of configuration keys`);
+    }
+  });
 
-      // Parse key=value pair
-      const [key, ...valueParts] = line.split('=');
-      if (!key) continue;
+  const documents = entries.map((entry) => entry.data);
+  const directives = suppress.parseSuppressions(
+    [].concat(...parsed.map((entry) => entry.comments || []))
+  );
+  return {
+    data: documents[0],
+    type: fileType,
+    documents,
+    expanded: entries.map((entry) => entry.expanded || entry.data),
+    locations: entries.map((entry) => entry.locations || {}),
+    issues: [].concat(...entries.map((entry) => entry.issues || []), directives.issues),
+    suppressions: directives.suppressions,
+  };
+}
 
-      const trimmedKey = key.trim();
-      const value = valueParts.join('=').trim();
+/**
+ * Parse a JSON configuration file
+ * @param {string} filePath - Path to the JSON file
+ * @returns {Promise<object>}
+ * @throws {Error} If file doesn't exist or JSON is invalid
+ */
+async function parseJsonFile(filePath) {
+  return parseConfigContent(readFile(filePath), 'json').data;
+}
 
-      // Remove quotes if present
-      let cleanValue = value;
-      if (
-        (value.startsWith('"') && value.endsWith('"')) ||
-        (value.startsWith("'") && value.endsWith("'"))
-      ) {
-        cleanValue = value.slice(1, -1);
-      }
+/**
+ * Parse a .env configuration file, resolving variable references
+ * @param {string} filePath - Path to the .env file
+ * @param {object} [options] - Interpolation options (see parseConfigContent)
+ * @returns {Promise<object>}
+ * @throws {Error} If file doesn't exist
+ */
+async function parseEnvFile(filePath, options = {}) {
+  return parseConfigContent(readFile(filePath), 'env', options).expanded[0];
+}
 
-      config[trimmedKey] = cleanValue;
-    }
+/**
+ * Parse a YAML configuration file (possibly containing several documents)
+ * @param {string} filePath - Path to the YAML file
+ * @returns {Promise<array>} One configuration object per non-empty document
+ * @throws {Error} If file doesn't exist, YAML is invalid or a document is not a mapping
+ */
+async function parseYamlFile(filePath) {
+  return parseConfigContent(readFile(filePath), 'yaml').documents;
+}
 
-    return config;
-  } catch (error) {
-    if (error.code === 'ENOENT') {
-      throw new Error(`File not found: ${filePath}`);
-    }
-    throw new Error(`Failed to read file: ${error.message}`);
-  }
+/**
+ * Parse a TOML configuration file
+ * @param {string} filePath - Path to the TOML file
+ * @returns {Promise<object>}
+ * @throws {Error} If file doesn't exist or TOML is invalid
+ */
+async function parseTomlFile(filePath) {
+  return parseConfigContent(readFile(filePath), 'toml').data;
+}
+
+/**
+ * Parse an INI configuration file
+ * @param {string} filePath - Path to the INI file
+ * @returns {Promise<object>}
+ * @throws {Error} If file doesn't exist or INI is invalid
+ */
+async function parseIniFile(filePath) {
+  return parseConfigContent(readFile(filePath), 'ini').data;
+}
+
+/**
+ * Parse a Java .properties configuration file
+ * @param {string} filePath - Path to the .properties file
+ * @returns {Promise<object>}
+ * @throws {Error} If file doesn't exist or the file is invalid
+ */
+async function parsePropertiesFile(filePath) {
+  return parseConfigContent(readFile(filePath), 'properties').data;
 }
 
 /**
  * Determine the file type based on extension
  * @param {string} filePath - Path to the file
- * @returns {string} - 'json' or 'env'
+ * @returns {string} - 'json', 'jsonc', 'json5', 'env', 'yaml', 'toml', 'ini' or 'properties'
  * @throws {Error} If file type is not supported
  */
 function getFileType(filePath) {
@@ -87,40 +212,141 @@ function getFileType(filePath) {
     return 'json';
   }
 
-  if (path.basename(filePath) === '.env' || ext === '.env') {
+  if (ext === '.jsonc') {
+    return 'jsonc';
+  }
+
+  if (ext === '.json5') {
+    return 'json5';
+  }
+
+  // .env, .env.production, .env.local, production.env
+  const basename = path.basename(filePath);
+  if (basename === '.env' || basename.startsWith('.env.') || ext === '.env') {
     return 'env';
   }
 
+  if (ext === '.yaml' || ext === '.yml') {
+    return 'yaml';
+  }
+
+  if (ext === '.toml') {
+    return 'toml';
+  }
+
+  if (ext === '.ini' || ext === '.cfg') {
+    return 'ini';
+  }
+
+  if (ext === '.properties') {
+    return 'properties';
+  }
+
   throw new Error(
-    `Unsupported file format: ${filePath}. Supported formats: .json, .env`
+    `Unsupported file format: ${filePath}. Supported formats: .json, .jsonc, .json5, .env, .yaml, .yml, .toml, .ini, .cfg, .properties`
   );
 }
 
 /**
- * Parse a configuration file based on its type
- * @param {string} filePath - Path to the configuration file
- * @returns {Promise<{data: object, type: string}>}
- * @throws {Error} If file doesn't exist or format is invalid
+ * Detect the format of configuration content that has no usable extension
+ *
+ * Content starting with `{` or `[` is JSON (JSONC if it only parses with
+ * comments allowed); content that parses as .env without issues is .env;
+ * otherwise content that parses as YAML mappings is YAML.
+ * @param {string} content - Configuration content
+ * @returns {string|null} File type, or null if the format is not recognized
  */
-async function parseConfigFile(filePath) {
-  const fileType = getFileType(filePath);
+function detectFormat(content) {
+  const text = content.replace(/^\uFEFF/, '').trim();
 
-  let data;
-  if (fileType === 'json') {
-    data = await parseJsonFile(filePath);
-  } else if (fileType === 'env') {
-    data = await parseEnvFile(filePath);
+  if (text.startsWith('{') || text.startsWith('[')) {
+    for (const flavor of ['json', 'jsonc']) {
+      try {
+        json.parseJson(text, { flavor });
+        return flavor;
+      } catch (error) {
+        // Try the next flavor
+      }
+    }
+    return 'json';
   }
 
-  return {
-    data,
-    type: fileType,
-  };
+  const env = dotenv.parseEnv(text);
+  if (env.issues.length === 0 && Object.keys(env.data).length > 0) {
+    return 'env';
+  }
+
+  try {
+    const documents = yaml.parseYamlStream(text).map((entry) => entry.data);
+    const isMapping = (data) =>
+      data !== null && typeof data === 'object' && !Array.isArray(data);
+    const isEmptyOrMapping = (data) => data === null || isMapping(data);
+    if (documents.some(isMapping) && documents.every(isEmptyOrMapping)) {
+      return 'yaml';
+    }
+  } catch (error) {
+    // Not YAML either
+  }
+
+  return null;
+}
+
+/**
+ * Determine the type of a configuration file from its name, falling back
+ * to its content for names without a known extension (e.g. `config.local`)
+ * @param {string} filePath - Path to the file
+ * @param {string} content - File content
+ * @returns {string} File type
+ * @throws {Error} If neither the name nor the content identify the format
+ */
+function detectFileType(filePath, content) {
+  try {
+    return getFileType(filePath);
+  } catch (error) {
+    const detected = detectFormat(content);
+    if (!detected) {
+      throw error;
+    }
+    return detected;
+  }
+}
+
+/**
+ * Parse a configuration file based on its type
+ *
+ * `documents` lists every configuration object in the file, as written;
+ * `data` is the first one. Only YAML streams can hold more than one document.
+ * `expanded` lists the same documents with .env variable references
+ * resolved (other formats are returned unchanged).
+ * `locations` holds, per document, a map of key path to
+ * {line, column, endLine, endColumn, valueLine, valueColumn} (JSON flavors,
+ * .env and YAML). `issues` holds lint issues found while parsing (malformed
+ * .env lines and variable references, and invalid suppression comments).
+ * `suppressions` lists the suppression comments of the file (see
+ * suppress.parseSuppressions).
+ * @param {string} filePath - Path to the configuration file
+ * @param {object} [options] - Parser options (see parseConfigContent)
+ * @param {string} [options.format] - File type to use instead of detecting it
+ * @returns {Promise<{data: object, type: string, documents: array, expanded: array, locations: array,
+ *   issues: array, suppressions: array}>}
+ * @throws {Error} If file doesn't exist or format is invalid
+ */
+async function parseConfigFile(filePath, options = {}) {
+  const content = readFile(filePath);
+  const fileType = options.format || detectFileType(filePath, content);
+  return parseConfigContent(content, fileType, options);
 }
 
 module.exports = {
   parseJsonFile,
   parseEnvFile,
+  parseYamlFile,
+  parseTomlFile,
+  parseIniFile,
+  parsePropertiesFile,
+  parseConfigContent,
   parseConfigFile,
   getFileType,
+  detectFormat,
+  detectFileType,
 };
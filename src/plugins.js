@@ -0,0 +1,188 @@
+/**
+ * Custom rules loaded from rule packs
+ *
+ * A rule pack is a local file or npm module, listed under `plugins` in the
+ * lint configuration, that exports its rules as `{ rules: [...] }` or as an
+ * array. Each rule is an object with:
+ *
+ *   id          - Rule id used in issues, the lint configuration and
+ *                 suppression comments, e.g. `acme/internal_hostname`
+ *   severity    - Default severity: 'ERROR' or 'WARNING'
+ *   description - What the rule checks
+ *   options     - Optional options the rule accepts, as name -> type
+ *                 ('strings', 'patterns', 'ports' or 'number')
+ *   check       - Function called with the context of every leaf value:
+ *                 { key, path, value, config, file, options, service, container }
+ *
+ * `key` is the key name and `path` the full key path (e.g. `database.host`);
+ * `config` is the whole configuration document and `file` holds the `path`
+ * and `type` of the validated file. For docker-compose and Kubernetes
+ * environments, `key` and `path` are the variable name and `service` and
+ * `container` name its owner. `check` returns nothing when the value passes, or a
+ * message, an object with `message` (and optionally `severity`), or an
+ * array of them.
+ */
+
+const path = require('path');
+
+const SEVERITIES = ['ERROR', 'WARNING'];
+const OPTION_TYPES = ['strings', 'patterns', 'ports', 'number'];
+
+/**
+ * Check the definition of a custom rule
+ * @param {string} where - Location of the rule, e.g. `rules[0]`
+ * @param {any} rule - Rule definition
+ * @returns {string[]} Error messages
+ */
+function validateRuleDefinition(where, rule) {
+  if (rule === null || typeof rule !== 'object' || Array.isArray(rule)) {
+    return [`${where} must be an object`];
+  }
+
+  const errors = [];
+  if (typeof rule.id !== 'string' || rule.id.trim() === '') {
+    errors.push(`${where}.id must be a non-empty string`);
+  }
+  if (!SEVERITIES.includes(rule.severity)) {
+    errors.push(`${where}.severity must be one of: ${SEVERITIES.join(', ')}`);
+  }
+  if (typeof rule.description !== 'string' || rule.description.trim() === '') {
+    errors.push(`${where}.description must be a non-empty string`);
+  }
+  if (typeof rule.check !== 'function') {
+    errors.push(`${where}.check must be a function`);
+  }
+
+  const { options } = rule;
+  if (options !== undefined) {
+    if (options === null || typeof options !== 'object' || Array.isArray(options)) {
+      errors.push(`${where}.options must be an object of option types`);
+    } else {
+      for (const [name, type] of Object.entries(options)) {
+        if (!OPTION_TYPES.includes(type)) {
+          errors.push(`${where}.options.${name} must be one of: ${OPTION_TYPES.join(', ')}`);
+        }
+      }
+    }
+  }
+  return errors;
+}
+
+/**
+ * Load a rule pack
+ * @param {string} reference - Path (relative to `baseDir`) or npm module name
+ * @param {string} baseDir - Directory of the lint configuration referencing the pack
+ * @returns {object[]} Rule definitions
+ * @throws {Error} If the pack cannot be found or a rule is invalid
+ */
+function loadRulePack(reference, baseDir) {
+  const isPath = reference.startsWith('.') || path.isAbsolute(reference);
+  let modulePath;
+  try {
+    modulePath = isPath
+      ? require.resolve(path.resolve(baseDir, reference))
+      : require.resolve(reference, { paths: [baseDir] });
+  } catch (error) {
+    throw new Error(`Cannot find rule pack "${reference}" from ${baseDir}`);
+  }
+
+  const loaded = require(modulePath);
+  const pack = loaded && loaded.__esModule ? loaded.default : loaded;
+  const packRules = Array.isArray(pack) ? pack : pack && pack.rules;
+  if (!Array.isArray(packRules)) {
+    throw new Error(
+      `Invalid rule pack ${reference}: expected { rules: [...] } or an array of rules`
+    );
+  }
+
+  const errors = [];
+  packRules.forEach((rule, index) => {
+    errors.push(...validateRuleDefinition(`rules[${index}]`, rule));
+  });
+  if (errors.length > 0) {
+    throw new Error(
+      `Invalid rule pack ${reference}:\n${errors.map((error) => `  - ${error}`).join('\n')}`
+    );
+  }
+  return packRules;
+}
+
+/**
+ * Load the rule packs of a lint configuration
+ * @param {string[]} references - Paths or npm module names
+ * @param {string} baseDir - Directory of the lint configuration
+ * @param {string[]} [builtinIds] - Ids of the built-in rules, which packs cannot redefine
+ * @returns {object[]} Rules of all packs
+ * @throws {Error} If a pack cannot be loaded or a rule id is already defined
+ */
+function loadRulePacks(references, baseDir, builtinIds = []) {
+  const customRules = [];
+  const sources = {};
+  builtinIds.forEach((ruleId) => {
+    sources[ruleId] = 'the built-in rules';
+  });
+  for (const reference of references) {
+    for (const rule of loadRulePack(reference, baseDir)) {
+      if (sources[rule.id]) {
+        throw new Error(
+          `Rule "${rule.id}" of ${reference} is already defined by ${sources[rule.id]}`
+        );
+      }
+      sources[rule.id] = reference;
+      customRules.push(rule);
+    }
+  }
+  return customRules;
+}
+
+/**
+ * Convert the result of a rule check to issues
+ * @param {object} rule - Custom rule
+ * @param {string} keyPath - Key path of the checked value
+ * @param {any} reported - Value returned by `check`
+ * @returns {array} Issue objects
+ */
+function toIssues(rule, keyPath, reported) {
+  return [].concat(reported || []).map((entry) => {
+    const finding = typeof entry === 'string' ? { message: entry } : entry;
+    return {
+      key: keyPath,
+      severity: SEVERITIES.includes(finding.severity) ? finding.severity : rule.severity,
+      message: String(finding.message),
+      rule: rule.id,
+    };
+  });
+}
+
+/**
+ * Run custom rules on a configuration value
+ * @param {object[]} customRules - Rules from loadRulePacks
+ * @param {object} context - Check context without `options` (see module description)
+ * @param {object} [ruleSettings] - Settings by rule id from the lint configuration;
+ *   rules set to `off` are skipped and the others receive their `options`
+ * @returns {array} Issue objects, keyed by `context.path`
+ * @throws {Error} If a rule's check throws
+ */
+function applyCustomRules(customRules, context, ruleSettings = {}) {
+  const issues = [];
+  for (const rule of customRules) {
+    const setting = ruleSettings[rule.id] || {};
+    if (setting.severity === 'off') {
+      continue;
+    }
+
+    let reported;
+    try {
+      reported = rule.check({ ...context, options: setting.options || {} });
+    } catch (error) {
+      throw new Error(`Rule "${rule.id}" failed on key "${context.path}": ${error.message}`);
+    }
+    issues.push(...toIssues(rule, context.path, reported));
+  }
+  return issues;
+}
+
+module.exports = {
+  loadRulePacks,
+  applyCustomRules,
+};
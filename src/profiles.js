@@ -0,0 +1,100 @@
+/**
+ * Environment strictness profiles
+ *
+ * The environment of a configuration comes from `--env` or, when not given,
+ * from a top-level `environment`, `env`, `NODE_ENV` or `APP_ENV` key. Its
+ * profile adjusts the rule settings before those of the lint configuration
+ * apply, so a project can still override every profile setting:
+ *
+ *   production  - insecure_protocol, public_binding and
+ *                 connection_insecure_transport become errors; the
+ *                 production-only rules (debug_in_production, verbose_logging,
+ *                 localhost_url) run
+ *   development - weak_password and the connection string rules are off, and
+ *                 hardcoded_secret only reports known token formats
+ */
+
+/**
+ * Top-level keys naming the environment, in order of precedence (case-insensitive)
+ */
+const ENVIRONMENT_KEYS = ['environment', 'env', 'node_env', 'app_env'];
+
+/**
+ * Short names of environments
+ */
+const ENVIRONMENT_ALIASES = {
+  prod: 'production',
+  dev: 'development',
+  local: 'development',
+};
+
+/**
+ * Rule settings of each profile, in the normalized form of
+ * lintrc.resolveRuleSettings
+ */
+const PROFILES = {
+  production: {
+    insecure_protocol: { severity: 'ERROR' },
+    public_binding: { severity: 'ERROR' },
+    connection_insecure_transport: { severity: 'ERROR' },
+  },
+  development: {
+    weak_password: { severity: 'off' },
+    hardcoded_secret: {
+      severity: 'on',
+      options: { disabledDetectors: ['key_name', 'entropy'] },
+    },
+    connection_credentials: { severity: 'off' },
+    connection_weak_password: { severity: 'off' },
+    connection_insecure_transport: { severity: 'off' },
+    connection_superuser: { severity: 'off' },
+  },
+};
+
+/**
+ * Normalize an environment name
+ * @param {string} [name] - Environment name, e.g. `Prod` or `production`
+ * @returns {string|null} Lower-case name with aliases resolved, or null
+ */
+function normalizeEnvironment(name) {
+  if (typeof name !== 'string' || name.trim() === '') {
+    return null;
+  }
+  const normalized = name.trim().toLowerCase();
+  return ENVIRONMENT_ALIASES[normalized] || normalized;
+}
+
+/**
+ * Detect the environment a configuration is for
+ * @param {object} config - Configuration object
+ * @returns {string|null} Normalized environment name, or null if the
+ *   configuration does not name one
+ */
+function detectEnvironment(config) {
+  if (config === null || typeof config !== 'object' || Array.isArray(config)) {
+    return null;
+  }
+  const keys = Object.keys(config);
+  for (const name of ENVIRONMENT_KEYS) {
+    const key = keys.find((candidate) => candidate.toLowerCase() === name);
+    if (key !== undefined && typeof config[key] === 'string') {
+      return normalizeEnvironment(config[key]);
+    }
+  }
+  return null;
+}
+
+/**
+ * Rule settings of the profile of an environment
+ * @param {string|null} environment - Normalized environment name
+ * @returns {object} Settings by rule id, empty for environments without a profile
+ */
+function profileRuleSettings(environment) {
+  return PROFILES[environment] || {};
+}
+
+module.exports = {
+  normalizeEnvironment,
+  detectEnvironment,
+  profileRuleSettings,
+};
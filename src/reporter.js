@@ -9,7 +9,32 @@
  */
 function formatIssue(issue) {
   const severitySymbol = issue.severity === 'ERROR' ? 'ERROR:' : 'WARNING:';
-  return `${severitySymbol} ${issue.message} (key: "${issue.key}")`;
+  const document = issue.document ? `, document: ${issue.document}` : '';
+  return `${severitySymbol} ${issue.message} (key: "${issue.key}"${formatOwner(issue)}${document}${formatLocation(issue)})`;
+}
+
+/**
+ * Format the manifest service and container an issue belongs to
+ * @param {object} issue - Issue object, optionally with service and container
+ * @returns {string} e.g. ', service: "web", container: "app"', or ''
+ */
+function formatOwner(issue) {
+  const service = issue.service ? `, service: "${issue.service}"` : '';
+  const container = issue.container ? `, container: "${issue.container}"` : '';
+  return `${service}${container}`;
+}
+
+/**
+ * Format the source location of an issue
+ * @param {object} issue - Issue object, optionally with line and column
+ * @returns {string} e.g. ", line: 4, column: 3", or '' when the issue has no location
+ */
+function formatLocation(issue) {
+  if (!issue.line) {
+    return '';
+  }
+  const column = issue.column ? `, column: ${issue.column}` : '';
+  return `, line: ${issue.line}${column}`;
 }
 
 /**
@@ -79,6 +104,26 @@ function reportValidation(result) {
   return lines.join('\n');
 }
 
+/**
+ * Describe the environment whose profile applied
+ * @param {object} result - Validation result
+ * @returns {string|null} e.g. `Environment: production`, or for documents of
+ *   different environments `Environments: production (document 1), none
+ *   (document 2)`; null when no environment applied
+ */
+function formatEnvironment(result) {
+  if (result.environment) {
+    return `Environment: ${result.environment}`;
+  }
+  if (!result.environments || !result.environments.some(Boolean)) {
+    return null;
+  }
+  const named = result.environments.map(
+    (environment, index) => `${environment || 'none'} (document ${index + 1})`
+  );
+  return `Environments: ${named.join(', ')}`;
+}
+
 /**
  * Display validation results with file information
  * @param {object} result - Validation result
@@ -89,6 +134,10 @@ function reportValidationWithFile(result, filePath) {
   const lines = [];
 
   lines.push(`Validating: ${filePath}\n`);
+  const environment = formatEnvironment(result);
+  if (environment) {
+    lines.push(`${environment}\n`);
+  }
   lines.push(reportValidation(result));
 
   return lines.join('\n');
@@ -96,11 +145,15 @@ function reportValidationWithFile(result, filePath) {
 
 /**
  * Display validation results as JSON
+ *
+ * The resolved configuration is left out: it holds every secret of the
+ * file (and of the process environment with --process-env).
  * @param {object} result - Validation result
  * @returns {string} JSON formatted output
  */
 function reportValidationAsJson(result) {
-  return JSON.stringify(result, null, 2);
+  const { config, ...report } = result;
+  return JSON.stringify(report, null, 2);
 }
 
 /**
@@ -130,6 +183,10 @@ function reportDetailed(result) {
   lines.push('=== DETAILED VALIDATION REPORT ===\n');
 
   lines.push(`Status: ${result.isValid ? 'PASSED' : 'FAILED'}`);
+  const environment = formatEnvironment(result);
+  if (environment) {
+    lines.push(environment);
+  }
   lines.push(
     `Total Issues: ${result.summary.total}`,
     `Errors: ${result.summary.errorCount}`,
@@ -150,8 +207,11 @@ function reportDetailed(result) {
     for (const rule in groupedByRule) {
       lines.push(`${rule}:`);
       for (const issue of groupedByRule[rule]) {
+        const line = issue.line ? ` (line ${issue.line})` : '';
+        const owner = [issue.service, issue.container].filter(Boolean).join('/');
+        const ownerText = owner ? ` [${owner}]` : '';
         lines.push(
-          `  - [${issue.severity}] ${issue.key}: ${issue.message}`
+          `  - [${issue.severity}] ${issue.key}${ownerText}${line}: ${issue.message}`
         );
       }
       lines.push('');
@@ -165,6 +225,8 @@ function reportDetailed(result) {
 
 module.exports = {
   formatIssue,
+  formatLocation,
+  formatOwner,
   formatSummary,
   reportValidation,
   reportValidationWithFile,
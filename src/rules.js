@@ -2,20 +2,119 @@
  * Security linting rules for configuration validation
  */
 
+const connections = require('./connections');
+const interpolate = require('./interpolate');
+const profiles = require('./profiles');
+const secrets = require('./secrets');
 const utils = require('./utils');
 
+/**
+ * Values of secret keys that are placeholders rather than secrets
+ */
+const PLACEHOLDER_VALUES = ['CHANGE_ME', 'YOUR_KEY_HERE'];
+
+/**
+ * Options each security rule accepts in the lint configuration, by type
+ */
+const RULE_OPTIONS = {
+  weak_password: { secretKeyPatterns: 'patterns' },
+  hardcoded_secret: {
+    secretKeyPatterns: 'patterns',
+    placeholders: 'strings',
+    disabledDetectors: 'strings',
+    minEntropyLength: 'number',
+    base64EntropyThreshold: 'number',
+    hexEntropyThreshold: 'number',
+  },
+  unsafe_port: { allowedPorts: 'ports' },
+  public_binding: {},
+  insecure_protocol: {},
+  debug_in_production: {},
+  verbose_logging: {},
+  localhost_url: {},
+  connection_credentials: { placeholders: 'strings' },
+  connection_weak_password: { placeholders: 'strings' },
+  connection_insecure_transport: {},
+  connection_superuser: { superusers: 'strings' },
+  missing_value: {},
+};
+
+/**
+ * String values that enable a flag such as DEBUG
+ */
+const TRUE_VALUES = ['true', '1', 'yes', 'on'];
+
+/**
+ * Log levels too verbose for production
+ */
+const VERBOSE_LOG_LEVELS = ['debug', 'trace', 'verbose', 'silly', 'all'];
+
+/**
+ * Default superuser accounts of database servers
+ */
+const SUPERUSER_ACCOUNTS = ['root', 'postgres', 'sa'];
+
+/**
+ * Check if a host name is the local machine
+ * @param {string} hostname - Host name, IPv6 addresses in brackets
+ * @returns {boolean}
+ */
+function isLocalHost(hostname) {
+  return (
+    hostname === 'localhost' ||
+    hostname.endsWith('.localhost') ||
+    hostname === '[::1]' ||
+    /^127\.\d+\.\d+\.\d+$/.test(hostname)
+  );
+}
+
+/**
+ * Check if a key name suggests a secret value, also matching the
+ * `secretKeyPatterns` of the rule options (case-insensitive regular
+ * expressions)
+ * @param {string} key - Key name to check
+ * @param {object} options - Rule options
+ * @returns {boolean}
+ */
+function isSecretKey(key, options) {
+  return (
+    utils.isSuspiciousSecretKey(key) ||
+    (options.secretKeyPatterns || []).some((pattern) => new RegExp(pattern, 'i').test(key))
+  );
+}
+
 /**
  * Security rule definitions
  */
 
 /**
- * Check for weak passwords
+ * Check the defaults of the variable references in a value, the only part of
+ * such a value that is written in the file
+ * @param {string} value - Value starting with a variable reference
+ * @param {function} check - Rule check, called with each default
+ * @returns {object|null} Issue of the first default the check reports, noting
+ *   that the value is a default
+ */
+function checkReferenceDefaults(value, check) {
+  for (const fallback of interpolate.referenceDefaults(value)) {
+    const issue = check(fallback);
+    if (issue) {
+      return { ...issue, message: `Default of "${value}": ${issue.message}` };
+    }
+  }
+  return null;
+}
+
+/**
+ * Check for weak passwords, including the defaults of variable references
+ * such as `${DB_PASS:-admin}`
  * @param {string} key - Configuration key name
  * @param {any} value - Configuration value
+ * @param {object} [options] - Rule options: `secretKeyPatterns`
  * @returns {object|null} Issue object or null if no issue
  */
-function checkWeakPassword(key, value) {
-  if (!utils.isSuspiciousSecretKey(key)) {
+function checkWeakPassword(key, value, options = {}) {
+  if (!isSecretKey(key, options)) {
     return null;
   }
 
@@ -23,6 +122,10 @@ function checkWeakPassword(key, value) {
     return null;
   }
 
+  if (value.startsWith('$')) {
+    return checkReferenceDefaults(value, (fallback) => checkWeakPassword(key, fallback, options));
+  }
+
   const result = utils.checkPasswordStrength(value);
   if (result.isWeak) {
     return {
@@ -37,32 +140,57 @@ function checkWeakPassword(key, value) {
 }
 
 /**
- * Check for hardcoded secrets (suspicious values that look like secrets)
+ * Check for hardcoded secrets: values of any key that match a known token
+ * format or look random (see secrets.detectSecret), and non-empty values
+ * of keys whose name suggests a secret. The issue's `detector` names what
+ * matched: a token format, `entropy` or `key_name`, each of which can be
+ * listed in `disabledDetectors`. Of values that reference environment
+ * variables, only the defaults (`${API_KEY:-...}`) are checked.
  * @param {string} key - Configuration key name
  * @param {any} value - Configuration value
+ * @param {object} [options] - Rule options: `secretKeyPatterns`,
+ *   `placeholders` (values that are not secrets, besides CHANGE_ME and
+ *   YOUR_KEY_HERE), `disabledDetectors` and the entropy thresholds
+ *   `minEntropyLength`, `base64EntropyThreshold` and `hexEntropyThreshold`
  * @returns {object|null} Issue object or null if no issue
  */
-function checkHardcodedSecret(key, value) {
+function checkHardcodedSecret(key, value, options = {}) {
   if (typeof value !== 'string') {
     return null;
   }
 
-  if (!utils.isSuspiciousSecretKey(key)) {
-    return null;
+  // Values from environment variables are not hardcoded, but their defaults are
+  if (value.startsWith('$')) {
+    return checkReferenceDefaults(value, (fallback) =>
+      checkHardcodedSecret(key, fallback, options)
+    );
   }
 
-  // Check if value is hardcoded (not a placeholder like ${...} or env var)
-  if (value.startsWith('${') || value.startsWith('$')) {
+  const placeholders = [...PLACEHOLDER_VALUES, ...(options.placeholders || [])];
+  if (value.length === 0 || placeholders.includes(value)) {
     return null;
   }
 
+  const detected = secrets.detectSecret(value, options);
+  if (detected) {
+    return {
+      key,
+      severity: 'WARNING',
+      message: `Hardcoded secret detected (${detected.label}). Use environment variables instead.`,
+      rule: 'hardcoded_secret',
+      detector: detected.detector,
+    };
+  }
+
   // Check if it looks like actual credentials
-  if (value.length > 0 && value !== 'CHANGE_ME' && value !== 'YOUR_KEY_HERE') {
+  const disabled = options.disabledDetectors || [];
+  if (!disabled.includes('key_name') && isSecretKey(key, options)) {
     return {
       key,
       severity: 'WARNING',
       message: 'Hardcoded secret detected. Use environment variables instead.',
       rule: 'hardcoded_secret',
+      detector: 'key_name',
     };
   }
 
@@ -73,9 +201,11 @@ function checkHardcodedSecret(key, value) {
  * Check for unsafe port assignments
  * @param {string} key - Configuration key name
  * @param {any} value - Configuration value
+ * @param {object} [options] - Rule options: `allowedPorts` (privileged ports
+ *   that are intended, e.g. 443 for a proxy)
  * @returns {object|null} Issue object or null if no issue
  */
-function checkUnsafePort(key, value) {
+function checkUnsafePort(key, value, options = {}) {
   if (!key.toLowerCase().includes('port')) {
     return null;
   }
@@ -89,7 +219,7 @@ function checkUnsafePort(key, value) {
     return null;
   }
 
-  if (port > 0 && port < 1024) {
+  if (port > 0 && port < 1024 && !(options.allowedPorts || []).includes(port)) {
     return {
       key,
       severity: 'ERROR',
@@ -156,30 +286,214 @@ function checkInsecureProtocol(key, value) {
 /**
  * Check for debugging enabled in production
  * @param {string} key - Configuration key name
- * @param {any} value - Configuration value
+ * @param {any} value - Configuration value; `true` or a string such as
+ *   "true" or "1" (as in .env files)
  * @param {object} fullConfig - Full configuration object
+ * @param {string|null} [environment] - Environment (see profiles.js), detected
+ *   from fullConfig by default
  * @returns {object|null} Issue object or null if no issue
  */
-function checkDebugInProduction(key, value, fullConfig) {
-  if (key.toLowerCase() === 'debug' && value === true) {
-    const environment =
-      fullConfig.environment ||
-      fullConfig.ENV ||
-      fullConfig.NODE_ENV ||
-      '';
-    if (
-      environment.toLowerCase() === 'production' ||
-      environment.toLowerCase() === 'prod'
-    ) {
-      return {
-        key,
-        severity: 'ERROR',
-        message: 'Debug mode enabled in production environment.',
-        rule: 'debug_in_production',
-      };
+function checkDebugInProduction(
+  key,
+  value,
+  fullConfig,
+  environment = profiles.detectEnvironment(fullConfig)
+) {
+  if (key.toLowerCase() !== 'debug' || environment !== 'production') {
+    return null;
+  }
+
+  const enabled =
+    value === true || (typeof value === 'string' && TRUE_VALUES.includes(value.toLowerCase()));
+  if (enabled) {
+    return {
+      key,
+      severity: 'ERROR',
+      message: 'Debug mode enabled in production environment.',
+      rule: 'debug_in_production',
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Check for verbose log levels in production
+ * @param {string} key - Configuration key name
+ * @param {any} value - Configuration value
+ * @param {string|null} environment - Environment (see profiles.js)
+ * @returns {object|null} Issue object or null if no issue
+ */
+function checkVerboseLogging(key, value, environment) {
+  if (environment !== 'production' || typeof value !== 'string' || !/log|level/i.test(key)) {
+    return null;
+  }
+
+  if (VERBOSE_LOG_LEVELS.includes(value.trim().toLowerCase())) {
+    return {
+      key,
+      severity: 'ERROR',
+      message: `Verbose log level "${value}" in production environment.`,
+      rule: 'verbose_logging',
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Check for URLs pointing to the local machine in production, including any
+ * host of a connection string's host list
+ * @param {string} key - Configuration key name
+ * @param {any} value - Configuration value
+ * @param {string|null} environment - Environment (see profiles.js)
+ * @returns {object|null} Issue object or null if no issue
+ */
+function checkLocalhostUrl(key, value, environment) {
+  if (environment !== 'production' || typeof value !== 'string' || !value.includes('://')) {
+    return null;
+  }
+
+  let hostnames;
+  const connection = connections.parseConnectionString(value);
+  if (connection) {
+    hostnames = connection.hosts.map((entry) => entry.host);
+  } else {
+    try {
+      hostnames = [new URL(value).hostname];
+    } catch (error) {
+      return null;
     }
   }
 
+  const hostname = hostnames.find(isLocalHost);
+  if (hostname) {
+    return {
+      key,
+      severity: 'ERROR',
+      message: `URL points to ${hostname} in production environment.`,
+      rule: 'localhost_url',
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Get the plaintext password embedded in a connection string
+ * @param {any} value - Configuration value
+ * @param {string[]} [placeholders] - Passwords that are placeholders, besides
+ *   CHANGE_ME and YOUR_KEY_HERE
+ * @returns {{connection: object, password: string}|null} Null if the value is
+ *   not a connection string or its password is absent, a reference or a placeholder
+ */
+function embeddedPassword(value, placeholders = []) {
+  const connection = connections.parseConnectionString(value);
+  if (!connection || !connection.password) {
+    return null;
+  }
+  const { password } = connection;
+  if (password.startsWith('$') || [...PLACEHOLDER_VALUES, ...placeholders].includes(password)) {
+    return null;
+  }
+  return { connection, password };
+}
+
+/**
+ * Check for plaintext credentials embedded in connection strings
+ * @param {string} key - Configuration key name
+ * @param {any} value - Configuration value
+ * @param {object} [options] - Rule options: `placeholders` (passwords that
+ *   are not secrets)
+ * @returns {object|null} Issue object or null if no issue
+ */
+function checkConnectionCredentials(key, value, options = {}) {
+  const embedded = embeddedPassword(value, options.placeholders);
+  if (!embedded) {
+    return null;
+  }
+
+  const user = embedded.connection.username ? ` of user "${embedded.connection.username}"` : '';
+  return {
+    key,
+    severity: 'WARNING',
+    message: `Connection string embeds the password${user}. Use environment variables instead.`,
+    rule: 'connection_credentials',
+  };
+}
+
+/**
+ * Check for weak passwords embedded in connection strings
+ * @param {string} key - Configuration key name
+ * @param {any} value - Configuration value
+ * @param {object} [options] - Rule options: `placeholders` (passwords that
+ *   are not checked)
+ * @returns {object|null} Issue object or null if no issue
+ */
+function checkConnectionWeakPassword(key, value, options = {}) {
+  const embedded = embeddedPassword(value, options.placeholders);
+  if (!embedded) {
+    return null;
+  }
+
+  const result = utils.checkPasswordStrength(embedded.password);
+  if (result.isWeak) {
+    return {
+      key,
+      severity: 'WARNING',
+      message: `Weak password in connection string: ${result.reason}`,
+      rule: 'connection_weak_password',
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Check for connection strings that turn TLS off
+ * @param {string} key - Configuration key name
+ * @param {any} value - Configuration value
+ * @returns {object|null} Issue object or null if no issue
+ */
+function checkConnectionInsecureTransport(key, value) {
+  const connection = connections.parseConnectionString(value);
+  const param = connection && connections.findTlsDisablingParam(connection);
+  if (param) {
+    return {
+      key,
+      severity: 'WARNING',
+      message: `Connection string disables TLS (${param}).`,
+      rule: 'connection_insecure_transport',
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Check for connection strings logging in as a default superuser
+ * @param {string} key - Configuration key name
+ * @param {any} value - Configuration value
+ * @param {object} [options] - Rule options: `superusers` (more account
+ *   names, besides root, postgres and sa)
+ * @returns {object|null} Issue object or null if no issue
+ */
+function checkConnectionSuperuser(key, value, options = {}) {
+  const connection = connections.parseConnectionString(value);
+  if (!connection || !connection.username) {
+    return null;
+  }
+
+  const superusers = [...SUPERUSER_ACCOUNTS, ...(options.superusers || [])];
+  if (superusers.includes(connection.username.toLowerCase())) {
+    return {
+      key,
+      severity: 'WARNING',
+      message: `Connection string uses the superuser account "${connection.username}". Use an account with limited privileges.`,
+      rule: 'connection_superuser',
+    };
+  }
+
   return null;
 }
 
@@ -202,29 +516,59 @@ function checkMissingDefaults(key, value) {
   return null;
 }
 
+/**
+ * Security rules by rule id
+ */
+const SECURITY_RULES = {
+  weak_password: (key, value, fullConfig, options) => checkWeakPassword(key, value, options),
+  hardcoded_secret: (key, value, fullConfig, options) =>
+    checkHardcodedSecret(key, value, options),
+  unsafe_port: (key, value, fullConfig, options) => checkUnsafePort(key, value, options),
+  public_binding: (key, value) => checkPublicBinding(key, value),
+  insecure_protocol: (key, value) => checkInsecureProtocol(key, value),
+  debug_in_production: (key, value, fullConfig, options, environment) =>
+    checkDebugInProduction(key, value, fullConfig, environment),
+  verbose_logging: (key, value, fullConfig, options, environment) =>
+    checkVerboseLogging(key, value, environment),
+  localhost_url: (key, value, fullConfig, options, environment) =>
+    checkLocalhostUrl(key, value, environment),
+  connection_credentials: (key, value, fullConfig, options) =>
+    checkConnectionCredentials(key, value, options),
+  connection_weak_password: (key, value, fullConfig, options) =>
+    checkConnectionWeakPassword(key, value, options),
+  connection_insecure_transport: (key, value) => checkConnectionInsecureTransport(key, value),
+  connection_superuser: (key, value, fullConfig, options) =>
+    checkConnectionSuperuser(key, value, options),
+  missing_value: (key, value) => checkMissingDefaults(key, value),
+};
+
 /**
  * Apply all security rules to a configuration value
  * @param {string} key - Configuration key name
  * @param {any} value - Configuration value
  * @param {object} fullConfig - Full configuration object
+ * @param {object} [ruleSettings] - Settings by rule id from the lint
+ *   configuration (see lintrc.resolveRuleSettings); rules set to `off` are
+ *   skipped and the others receive their `options`
+ * @param {string|null} [environment] - Environment (see profiles.js), detected
+ *   from fullConfig by default
  * @returns {array} Array of issue objects found
  */
-function applySecurityRules(key, value, fullConfig) {
+function applySecurityRules(
+  key,
+  value,
+  fullConfig,
+  ruleSettings = {},
+  environment = profiles.detectEnvironment(fullConfig)
+) {
   const issues = [];
 
-  // Apply each rule
-  const rules = [
-    (k, v) => checkWeakPassword(k, v),
-    (k, v) => checkHardcodedSecret(k, v),
-    (k, v) => checkUnsafePort(k, v),
-    (k, v) => checkPublicBinding(k, v),
-    (k, v) => checkInsecureProtocol(k, v),
-    (k, v) => checkDebugInProduction(k, v, fullConfig),
-    (k, v) => checkMissingDefaults(k, v),
-  ];
-
-  for (const rule of rules) {
-    const issue = rule(key, value);
+  for (const [ruleId, check] of Object.entries(SECURITY_RULES)) {
+    const setting = ruleSettings[ruleId] || {};
+    if (setting.severity === 'off') {
+      continue;
+    }
+    const issue = check(key, value, fullConfig, setting.options || {}, environment);
     if (issue) {
       issues.push(issue);
     }
@@ -240,6 +584,13 @@ module.exports = {
   checkPublicBinding,
   checkInsecureProtocol,
   checkDebugInProduction,
+  checkVerboseLogging,
+  checkLocalhostUrl,
+  checkConnectionCredentials,
+  checkConnectionWeakPassword,
+  checkConnectionInsecureTransport,
+  checkConnectionSuperuser,
   checkMissingDefaults,
   applySecurityRules,
+  RULE_OPTIONS,
 };
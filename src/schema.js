@@ -2,6 +2,14 @@
  * Schema definitions for configuration validation
  */
 
+const fs = require('fs');
+const path = require('path');
+const json = require('./json');
+const jsonSchema = require('./jsonschema');
+const formats = require('./formats');
+const profiles = require('./profiles');
+const utils = require('./utils');
+
 /**
  * Define a schema for configuration validation
  * Schema structure:
@@ -31,6 +39,73 @@ const RULE_TYPES = {
   array: 'array',
 };
 
+/**
+ * Top-level keys allowed in a schema document
+ */
+const SCHEMA_KEYS = [
+  'extends',
+  'requiredKeys',
+  'optionalKeys',
+  'forbiddenKeys',
+  'rules',
+  'requiredIf',
+  'requiredUnless',
+  'mutuallyExclusive',
+  'comparisons',
+  'environments',
+  'name',
+  'description',
+  'version',
+];
+
+/**
+ * Schema properties that only apply to a whole schema, not to an
+ * environment overlay
+ */
+const DOCUMENT_KEYS = ['extends', 'environments', 'name', 'description', 'version'];
+
+/**
+ * Operators allowed in key comparisons
+ */
+const COMPARISON_OPERATORS = ['<', '<=', '>', '>=', '==', '!='];
+
+/**
+ * Keywords allowed in a rule definition
+ */
+const RULE_KEYWORDS = [
+  'type',
+  'notEmpty',
+  'minLength',
+  'maxLength',
+  'pattern',
+  'format',
+  'schemes',
+  'enum',
+  'min',
+  'max',
+  'properties',
+  'required',
+  'additionalProperties',
+  'items',
+  'minItems',
+  'maxItems',
+  'uniqueItems',
+  'default',
+  'deprecated',
+  'renamedTo',
+  'removedIn',
+];
+
+/**
+ * Version numbers of `version` and `removedIn`, e.g. `3`, `2.1` or `3.0.0`
+ */
+const VERSION_PATTERN = /^\d+(?:\.\d+)*(?:[-+][0-9A-Za-z.-]+)?$/;
+
+/**
+ * File extensions of schema files
+ */
+const SCHEMA_EXTENSIONS = ['.json', '.js', '.cjs'];
+
 /**
  * Create a schema for a basic application configuration
  * @returns {object}
@@ -57,6 +132,7 @@ function createApplicationSchema() {
       database_url: {
         type: 'string',
         notEmpty: true,
+        format: 'connection_string',
       },
       port: {
         type: 'number',
@@ -181,8 +257,594 @@ function getSchemaByName(schemaName) {
   return schemas[schemaName] || null;
 }
 
+/**
+ * Check the definition of a single rule, including its nested rules
+ * @param {string} where - Location of the rule in the schema, e.g. `rules["port"]`
+ * @param {any} rule - Rule definition
+ * @returns {string[]} Error messages
+ */
+function validateRuleDefinition(where, rule) {
+  if (rule === null || typeof rule !== 'object' || Array.isArray(rule)) {
+    return [`${where} must be an object`];
+  }
+
+  const errors = [];
+  for (const keyword of Object.keys(rule)) {
+    if (!RULE_KEYWORDS.includes(keyword)) {
+      const message = utils.unknownNameMessage('rule keyword', keyword, RULE_KEYWORDS);
+      errors.push(`${where}: ${message}`);
+    }
+  }
+
+  if (rule.type !== undefined && !Object.values(RULE_TYPES).includes(rule.type)) {
+    errors.push(`${where}.type must be one of: ${Object.values(RULE_TYPES).join(', ')}`);
+  }
+  for (const keyword of ['notEmpty', 'uniqueItems']) {
+    if (rule[keyword] !== undefined && typeof rule[keyword] !== 'boolean') {
+      errors.push(`${where}.${keyword} must be a boolean`);
+    }
+  }
+  for (const keyword of ['minLength', 'maxLength', 'minItems', 'maxItems']) {
+    const value = rule[keyword];
+    if (value !== undefined && !(Number.isInteger(value) && value >= 0)) {
+      errors.push(`${where}.${keyword} must be a non-negative integer`);
+    }
+  }
+  for (const keyword of ['min', 'max']) {
+    if (rule[keyword] !== undefined && typeof rule[keyword] !== 'number') {
+      errors.push(`${where}.${keyword} must be a number`);
+    }
+  }
+  if (rule.enum !== undefined && !Array.isArray(rule.enum)) {
+    errors.push(`${where}.enum must be an array`);
+  }
+  if (rule.pattern !== undefined) {
+    if (typeof rule.pattern !== 'string' && !(rule.pattern instanceof RegExp)) {
+      errors.push(`${where}.pattern must be a string or RegExp`);
+    } else if (typeof rule.pattern === 'string') {
+      try {
+        new RegExp(rule.pattern);
+      } catch (error) {
+        errors.push(`${where}.pattern is not a valid regular expression: ${error.message}`);
+      }
+    }
+  }
+
+  if (
+    rule.default !== undefined &&
+    rule.type !== undefined &&
+    utils.getType(rule.default) !== rule.type
+  ) {
+    errors.push(`${where}.default must be of type ${rule.type}`);
+  }
+  if (rule.format !== undefined && typeof rule.format !== 'string') {
+    errors.push(`${where}.format must be a string`);
+  } else if (rule.format !== undefined && !formats.FORMAT_NAMES.includes(rule.format)) {
+    const message = utils.unknownNameMessage('format', rule.format, formats.FORMAT_NAMES);
+    errors.push(`${where}: ${message}`);
+  }
+  if (
+    rule.schemes !== undefined &&
+    !(Array.isArray(rule.schemes) && rule.schemes.every((scheme) => typeof scheme === 'string'))
+  ) {
+    errors.push(`${where}.schemes must be an array of URL schemes`);
+  }
+  if (
+    rule.deprecated !== undefined &&
+    typeof rule.deprecated !== 'boolean' &&
+    typeof rule.deprecated !== 'string'
+  ) {
+    errors.push(`${where}.deprecated must be a boolean or a deprecation note`);
+  }
+  if (rule.renamedTo !== undefined && typeof rule.renamedTo !== 'string') {
+    errors.push(`${where}.renamedTo must be a key path`);
+  }
+  if (
+    rule.removedIn !== undefined &&
+    !(typeof rule.removedIn === 'string' && VERSION_PATTERN.test(rule.removedIn))
+  ) {
+    errors.push(`${where}.removedIn must be a version number, e.g. "3.0.0"`);
+  }
+
+  // Nested rules for object and array values
+  if (rule.properties !== undefined) {
+    const { properties } = rule;
+    if (properties === null || typeof properties !== 'object' || Array.isArray(properties)) {
+      errors.push(`${where}.properties must be an object of rules`);
+    } else {
+      for (const [key, propertyRule] of Object.entries(properties)) {
+        errors.push(...validateRuleDefinition(`${where}.properties["${key}"]`, propertyRule));
+      }
+    }
+  }
+  if (
+    rule.required !== undefined &&
+    !(Array.isArray(rule.required) && rule.required.every((key) => typeof key === 'string'))
+  ) {
+    errors.push(`${where}.required must be an array of keys`);
+  }
+  if (rule.additionalProperties !== undefined && typeof rule.additionalProperties !== 'boolean') {
+    errors.push(
+      ...validateRuleDefinition(`${where}.additionalProperties`, rule.additionalProperties)
+    );
+  }
+  if (rule.items !== undefined) {
+    errors.push(...validateRuleDefinition(`${where}.items`, rule.items));
+  }
+
+  return errors;
+}
+
+/**
+ * Check the requiredIf, requiredUnless, mutuallyExclusive and comparisons
+ * entries of a schema document
+ * @param {object} definition - Schema document
+ * @returns {string[]} Error messages
+ */
+function validateDependencyDefinitions(definition) {
+  const errors = [];
+  const isKeyList = (list) =>
+    Array.isArray(list) && list.length > 0 && list.every((key) => typeof key === 'string');
+  const checkList = (listName, checkEntry) => {
+    const list = definition[listName];
+    if (list === undefined) {
+      return;
+    }
+    if (!Array.isArray(list)) {
+      errors.push(`${listName} must be an array`);
+      return;
+    }
+    list.forEach((entry, index) => {
+      const isEntryObject = entry !== null && typeof entry === 'object' && !Array.isArray(entry);
+      const message = checkEntry(entry, isEntryObject);
+      if (message) {
+        errors.push(`${listName}[${index}] ${message}`);
+      }
+    });
+  };
+
+  for (const listName of ['requiredIf', 'requiredUnless']) {
+    checkList(listName, (entry, isEntryObject) => {
+      if (!isEntryObject || !isKeyList(entry.keys) || typeof entry.when !== 'string') {
+        return 'must be an object with `keys` (array of key paths) and `when` (key path)';
+      }
+      return null;
+    });
+  }
+
+  checkList('mutuallyExclusive', (entry) =>
+    isKeyList(entry) && entry.length >= 2 ? null : 'must be an array of at least two key paths'
+  );
+
+  checkList('comparisons', (entry, isEntryObject) => {
+    if (!isEntryObject || typeof entry.key !== 'string' || typeof entry.other !== 'string') {
+      return 'must be an object with `key`, `operator` and `other`';
+    }
+    if (!COMPARISON_OPERATORS.includes(entry.operator)) {
+      return `operator must be one of: ${COMPARISON_OPERATORS.join(', ')}`;
+    }
+    return null;
+  });
+
+  return errors;
+}
+
+/**
+ * Check a schema document for structural errors and unknown keywords
+ * @param {any} definition - Schema document
+ * @returns {string[]} Error messages, empty if the schema is valid
+ */
+function validateSchemaDefinition(definition) {
+  if (definition === null || typeof definition !== 'object' || Array.isArray(definition)) {
+    return ['Schema must be an object'];
+  }
+
+  const errors = [];
+  for (const key of Object.keys(definition)) {
+    if (!SCHEMA_KEYS.includes(key)) {
+      const message = utils.unknownNameMessage('schema property', key, SCHEMA_KEYS);
+      errors.push(message.charAt(0).toUpperCase() + message.slice(1));
+    }
+  }
+
+  const references = definition.extends;
+  if (
+    references !== undefined &&
+    typeof references !== 'string' &&
+    !(
+      Array.isArray(references) &&
+      references.length > 0 &&
+      references.every((reference) => typeof reference === 'string')
+    )
+  ) {
+    errors.push('extends must be a schema name or path, or an array of them');
+  }
+
+  for (const listName of ['requiredKeys', 'optionalKeys', 'forbiddenKeys']) {
+    const list = definition[listName];
+    if (
+      list !== undefined &&
+      !(Array.isArray(list) && list.every((key) => typeof key === 'string'))
+    ) {
+      errors.push(`${listName} must be an array of key paths`);
+    }
+  }
+  if (Array.isArray(definition.requiredKeys) && Array.isArray(definition.forbiddenKeys)) {
+    for (const key of definition.requiredKeys) {
+      if (definition.forbiddenKeys.includes(key)) {
+        errors.push(`"${key}" is both required and forbidden`);
+      }
+    }
+  }
+
+  if (
+    definition.version !== undefined &&
+    !(typeof definition.version === 'string' && VERSION_PATTERN.test(definition.version))
+  ) {
+    errors.push('version must be a version number, e.g. "2.4.0"');
+  }
+
+  errors.push(...validateDependencyDefinitions(definition));
+
+  const { environments } = definition;
+  if (environments !== undefined) {
+    if (environments === null || typeof environments !== 'object' || Array.isArray(environments)) {
+      errors.push('environments must be an object of schema overlays keyed by environment name');
+    } else {
+      for (const [envName, overlay] of Object.entries(environments)) {
+        const where = `environments["${envName}"]`;
+        const overlayErrors = validateSchemaDefinition(overlay);
+        if (overlay !== null && typeof overlay === 'object') {
+          for (const key of DOCUMENT_KEYS.filter((name) => name in overlay)) {
+            overlayErrors.push(`${key} is not allowed in an environment overlay`);
+          }
+        }
+        errors.push(...overlayErrors.map((error) => `${where}: ${error}`));
+      }
+    }
+  }
+
+  const schemaRules = definition.rules;
+  if (schemaRules !== undefined) {
+    if (
+      schemaRules === null ||
+      typeof schemaRules !== 'object' ||
+      Array.isArray(schemaRules)
+    ) {
+      errors.push('rules must be an object keyed by key path');
+    } else {
+      for (const [ruleKey, rule] of Object.entries(schemaRules)) {
+        errors.push(...validateRuleDefinition(`rules["${ruleKey}"]`, rule));
+        // Values are moved to the new key, which needs one concrete location
+        const renamedTo = rule && rule.renamedTo;
+        if (typeof renamedTo === 'string' && /\[/.test(`${ruleKey}${renamedTo}`)) {
+          errors.push(`rules["${ruleKey}"].renamedTo cannot be used with array paths`);
+        }
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Load and check a schema from a JSON file or a JavaScript module
+ *
+ * The file may hold a schema in this tool's format or a JSON Schema
+ * document (draft-07 / 2020-12). Schemas named by `extends` are loaded
+ * and merged in (see inheritSchema); paths are relative to the file.
+ * @param {string} filePath - Path to the schema file
+ * @param {object} [options] - Loading options
+ * @param {string} [options.schemaDir] - Project directory of named schemas
+ * @param {string[]} [options.stack] - Files being loaded, to detect cycles
+ * @returns {object} Schema, with `environments` overlays if it defines any
+ * @throws {Error} If the file cannot be read, the schema is invalid, its
+ *   inheritance is circular or its parents conflict
+ */
+function loadSchemaFile(filePath, options = {}) {
+  const ext = path.extname(filePath).toLowerCase();
+  if (!SCHEMA_EXTENSIONS.includes(ext)) {
+    throw new Error(
+      `Unsupported schema file: ${filePath}. Supported extensions: ${SCHEMA_EXTENSIONS.join(', ')}`
+    );
+  }
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`Schema file not found: ${filePath}`);
+  }
+
+  let definition;
+  if (ext === '.json') {
+    try {
+      definition = json.parseJson(fs.readFileSync(filePath, 'utf-8')).data;
+    } catch (error) {
+      throw new Error(`Invalid schema file ${filePath}: ${error.message}`);
+    }
+  } else {
+    const loaded = require(path.resolve(filePath));
+    definition = loaded && loaded.__esModule ? loaded.default : loaded;
+  }
+
+  const errors = jsonSchema.isJsonSchema(definition)
+    ? jsonSchema.validateJsonSchemaDefinition(definition)
+    : validateSchemaDefinition(definition);
+  if (errors.length > 0) {
+    throw new Error(
+      `Invalid schema ${filePath}:\n${errors.map((error) => `  - ${error}`).join('\n')}`
+    );
+  }
+
+  if (jsonSchema.isJsonSchema(definition) || definition.extends === undefined) {
+    return definition;
+  }
+
+  const stack = [...(options.stack || []), filePath];
+  const { extends: references, ...own } = definition;
+  const parents = [].concat(references).map((reference) => {
+    const parentPath = findSchemaFile(reference, {
+      baseDir: path.dirname(filePath),
+      schemaDir: options.schemaDir,
+    });
+    if (parentPath && stack.includes(parentPath)) {
+      throw new Error(`Circular schema inheritance: ${[...stack, parentPath].join(' -> ')}`);
+    }
+
+    const parent = parentPath
+      ? loadSchemaFile(parentPath, { ...options, stack })
+      : getSchemaByName(reference);
+    if (!parent) {
+      throw new Error(`Unknown schema "${reference}" extended by ${filePath}`);
+    }
+    if (jsonSchema.isJsonSchema(parent)) {
+      throw new Error(`${filePath} cannot extend JSON Schema document "${reference}"`);
+    }
+    return { name: reference, schema: parent };
+  });
+
+  const { schema: inherited, conflicts } = inheritSchema(parents, own);
+  if (conflicts.length > 0) {
+    throw new Error(
+      `Conflicting schema definitions in ${filePath}:\n` +
+        conflicts.map((conflict) => `  - ${conflict}`).join('\n')
+    );
+  }
+  return inherited;
+}
+
+/**
+ * Find the definitions two parent schemas disagree on and the child does
+ * not settle: different values for the same rule property, and keys one
+ * parent forbids while the other allows them
+ * @param {Array<{name: string, schema: object}>} parents - Parent schemas
+ * @param {object} own - Definitions of the child schema
+ * @param {string} [where] - Prefix of the messages, e.g. `environments["production"].`
+ * @returns {string[]} Conflict descriptions
+ */
+function findConflicts(parents, own, where = '') {
+  const conflicts = [];
+  const ownRules = own.rules || {};
+  const ownKeys = [
+    ...(own.requiredKeys || []),
+    ...(own.optionalKeys || []),
+    ...(own.forbiddenKeys || []),
+  ];
+
+  for (let i = 0; i < parents.length; i++) {
+    for (let j = i + 1; j < parents.length; j++) {
+      const [a, b] = [parents[i], parents[j]];
+
+      for (const [key, ruleA] of Object.entries(a.schema.rules || {})) {
+        const ruleB = (b.schema.rules || {})[key];
+        if (!ruleB) {
+          continue;
+        }
+        for (const property of Object.keys(ruleA)) {
+          const differs =
+            property in ruleB && !utils.isDeepEqual(ruleA[property], ruleB[property]);
+          const settled = ownRules[key] && property in ownRules[key];
+          if (differs && !settled) {
+            conflicts.push(
+              `${where}rules["${key}"].${property}: ${a.name} defines ` +
+                `${JSON.stringify(ruleA[property])}, ${b.name} defines ` +
+                `${JSON.stringify(ruleB[property])}`
+            );
+          }
+        }
+      }
+
+      for (const [forbidding, allowing] of [
+        [a, b],
+        [b, a],
+      ]) {
+        const allowed = [
+          ...(allowing.schema.requiredKeys || []),
+          ...(allowing.schema.optionalKeys || []),
+        ];
+        for (const key of forbidding.schema.forbiddenKeys || []) {
+          if (allowed.includes(key) && !ownKeys.includes(key)) {
+            conflicts.push(
+              `${where}"${key}": forbidden by ${forbidding.name}, allowed by ${allowing.name}`
+            );
+          }
+        }
+      }
+    }
+  }
+
+  return conflicts;
+}
+
+/**
+ * Merge parent schemas (in `extends` order) and the definitions of a child
+ *
+ * The child overrides individual rule properties of its parents, and
+ * environment overlays of the same name are merged the same way.
+ * @param {Array<{name: string, schema: object}>} parents - Parent schemas
+ * @param {object} own - Definitions of the child schema (without `extends`)
+ * @returns {{schema: object, conflicts: string[]}}
+ */
+function inheritSchema(parents, own) {
+  const conflicts = findConflicts(parents, own);
+  const schema = mergeSchemas(...parents.map((parent) => parent.schema), own);
+  for (const key of ['name', 'description', 'version']) {
+    if (own[key] !== undefined) {
+      schema[key] = own[key];
+    }
+  }
+
+  const ownEnvironments = own.environments || {};
+  const envNames = new Set(Object.keys(ownEnvironments));
+  for (const parent of parents) {
+    Object.keys(parent.schema.environments || {}).forEach((envName) => envNames.add(envName));
+  }
+
+  if (envNames.size > 0) {
+    schema.environments = {};
+    for (const envName of envNames) {
+      const overlays = parents
+        .filter((parent) => parent.schema.environments && parent.schema.environments[envName])
+        .map((parent) => ({ name: parent.name, schema: parent.schema.environments[envName] }));
+      const ownOverlay = ownEnvironments[envName] || {};
+      conflicts.push(...findConflicts(overlays, ownOverlay, `environments["${envName}"].`));
+      schema.environments[envName] = mergeSchemas(
+        ...overlays.map((overlay) => overlay.schema),
+        ownOverlay
+      );
+    }
+  }
+
+  return { schema, conflicts };
+}
+
+/**
+ * Apply the overlay of an environment to a schema
+ *
+ * Overlay names match environment names with the aliases of profiles.js,
+ * so `--env prod` selects a `production` overlay and the other way round.
+ * @param {object} schema - Schema, possibly with `environments` overlays
+ * @param {string} [env] - Environment name, e.g. `production`
+ * @param {boolean} [required] - Throw if the schema defines environments but
+ *   not this one; otherwise the schema applies without an overlay
+ * @returns {object} Schema without `environments`
+ * @throws {Error} If the environment is required and the schema does not define it
+ */
+function selectEnvironment(schema, env, required = true) {
+  if (jsonSchema.isJsonSchema(schema) || !schema.environments) {
+    return schema;
+  }
+
+  const { environments, ...base } = schema;
+  if (!env) {
+    return base;
+  }
+  const names = Object.keys(environments);
+  const name =
+    names.find((candidate) => candidate === env) ||
+    names.find(
+      (candidate) =>
+        profiles.normalizeEnvironment(candidate) === profiles.normalizeEnvironment(env)
+    );
+  if (!name) {
+    if (!required) {
+      return base;
+    }
+    throw new Error(
+      `Unknown environment "${env}". Environments defined by the schema: ` + names.join(', ')
+    );
+  }
+
+  const overlaid = mergeSchemas(base, environments[name]);
+  for (const key of ['name', 'description', 'version']) {
+    if (base[key] !== undefined) {
+      overlaid[key] = base[key];
+    }
+  }
+  return overlaid;
+}
+
+/**
+ * List the named schemas of a project schema directory
+ * @param {string} schemaDir - Directory holding `<name>.json` or `<name>.js` schemas
+ * @returns {object} Map of schema name to file path
+ */
+function listSchemaFiles(schemaDir) {
+  const files = {};
+  if (!schemaDir || !fs.existsSync(schemaDir)) {
+    return files;
+  }
+
+  for (const entry of fs.readdirSync(schemaDir).sort()) {
+    const ext = path.extname(entry).toLowerCase();
+    const name = path.basename(entry, path.extname(entry));
+    if (SCHEMA_EXTENSIONS.includes(ext) && !files[name]) {
+      files[name] = path.join(schemaDir, entry);
+    }
+  }
+  return files;
+}
+
+/**
+ * Find the file of a schema reference
+ *
+ * A reference that looks like a path (contains a slash or ends with a
+ * schema file extension) is resolved against `baseDir`. Otherwise it is a
+ * name, looked up in the project schema directory.
+ * @param {string} reference - Schema name or path
+ * @param {object} [options] - Lookup options
+ * @param {string} [options.baseDir] - Directory of relative paths (default: cwd)
+ * @param {string} [options.schemaDir] - Project directory of named schemas
+ * @returns {string|null} File path, or null for names without a project schema
+ */
+function findSchemaFile(reference, options = {}) {
+  const ext = path.extname(reference).toLowerCase();
+  if (/[\\/]/.test(reference) || SCHEMA_EXTENSIONS.includes(ext)) {
+    return path.resolve(options.baseDir || process.cwd(), reference);
+  }
+  return listSchemaFiles(options.schemaDir)[reference] || null;
+}
+
+/**
+ * Resolve the schema given on the command line
+ *
+ * A value that looks like a path is loaded as a schema file. Otherwise the
+ * name is looked up in the project schema directory, then among the
+ * built-in schemas. With `options.env`, the overlay of that environment is
+ * applied; with `options.detectedEnv`, its overlay is applied if the schema
+ * defines one.
+ * @param {string} nameOrPath - Schema name or path to a schema file
+ * @param {object} [options] - Resolution options
+ * @param {string} [options.schemaDir] - Project directory of named schemas
+ * @param {string} [options.env] - Environment whose overlay to apply
+ * @param {string} [options.detectedEnv] - Environment detected from the
+ *   configuration (see profiles.detectEnvironment), used without `options.env`
+ * @returns {object} Schema
+ * @throws {Error} If the schema cannot be found or is invalid
+ */
+function resolveSchema(nameOrPath, options = {}) {
+  const env = options.env || options.detectedEnv;
+  const required = Boolean(options.env);
+  const filePath = findSchemaFile(nameOrPath, { schemaDir: options.schemaDir });
+  if (filePath) {
+    return selectEnvironment(loadSchemaFile(filePath, options), env, required);
+  }
+
+  const builtIn = getSchemaByName(nameOrPath);
+  if (builtIn) {
+    return selectEnvironment(builtIn, env, required);
+  }
+
+  const projectSchemas = listSchemaFiles(options.schemaDir);
+  const available = new Set(['application', 'database', 'auth', ...Object.keys(projectSchemas)]);
+  throw new Error(
+    `Unknown schema "${nameOrPath}". Available schemas: ${[...available].join(', ')}`
+  );
+}
+
 /**
  * Merge multiple schemas into one
+ *
+ * Later schemas override individual properties of the rules of earlier
+ * ones. A key required by any schema stays required; a key forbidden by a
+ * later schema is no longer required or optional, and the other way round.
  * @param {...object} schemas - Schemas to merge
  * @returns {object}
  */
@@ -192,8 +854,12 @@ function mergeSchemas(...schemas) {
     optionalKeys: [],
     rules: {},
   };
+  let forbiddenKeys = [];
 
   for (const schema of schemas) {
+    const allowedKeys = [...(schema.requiredKeys || []), ...(schema.optionalKeys || [])];
+    forbiddenKeys = forbiddenKeys.filter((key) => !allowedKeys.includes(key));
+
     if (schema.requiredKeys) {
       merged.requiredKeys = [
         ...new Set([...merged.requiredKeys, ...schema.requiredKeys]),
@@ -204,20 +870,40 @@ function mergeSchemas(...schemas) {
         ...new Set([...merged.optionalKeys, ...schema.optionalKeys]),
       ];
     }
-    if (schema.rules) {
-      merged.rules = { ...merged.rules, ...schema.rules };
+    if (schema.forbiddenKeys) {
+      forbiddenKeys = [...new Set([...forbiddenKeys, ...schema.forbiddenKeys])];
+      const isAllowed = (key) => !schema.forbiddenKeys.includes(key);
+      merged.requiredKeys = merged.requiredKeys.filter(isAllowed);
+      merged.optionalKeys = merged.optionalKeys.filter(isAllowed);
+    }
+    for (const [key, rule] of Object.entries(schema.rules || {})) {
+      merged.rules[key] = { ...merged.rules[key], ...rule };
+    }
+    for (const listName of ['requiredIf', 'requiredUnless', 'mutuallyExclusive', 'comparisons']) {
+      if (schema[listName]) {
+        merged[listName] = [...(merged[listName] || []), ...schema[listName]];
+      }
     }
   }
 
+  if (forbiddenKeys.length > 0) {
+    merged.forbiddenKeys = forbiddenKeys;
+  }
   return merged;
 }
 
 module.exports = {
   defaultSchema,
   RULE_TYPES,
+  RULE_KEYWORDS,
   createApplicationSchema,
   createDatabaseSchema,
   createAuthSchema,
   getSchemaByName,
+  validateSchemaDefinition,
+  loadSchemaFile,
+  listSchemaFiles,
+  resolveSchema,
+  selectEnvironment,
   mergeSchemas,
 };
@@ -0,0 +1,152 @@
+/**
+ * Secret detection by value: known token formats and high-entropy strings
+ *
+ * Used by the hardcoded_secret rule for values of any key, so a Stripe key
+ * under `STRIPE` or a private key under `CERT_DATA` is found even though
+ * the key name does not suggest a secret.
+ */
+
+/**
+ * Token formats of credential providers, checked in order
+ */
+const TOKEN_DETECTORS = [
+  {
+    name: 'private_key',
+    label: 'private key',
+    pattern: /-----BEGIN (?:[A-Z0-9]+ )*PRIVATE KEY( BLOCK)?-----/,
+  },
+  {
+    name: 'aws_access_key_id',
+    label: 'AWS access key ID',
+    pattern: /\b(?:AKIA|ASIA|ABIA|ACCA)[0-9A-Z]{16}\b/,
+  },
+  {
+    name: 'github_token',
+    label: 'GitHub token',
+    pattern: /\b(?:(?:ghp|gho|ghu|ghs|ghr)_[A-Za-z0-9]{36}|github_pat_[A-Za-z0-9_]{82})\b/,
+  },
+  {
+    name: 'slack_token',
+    label: 'Slack token',
+    pattern: /\bxox[abposr]-[A-Za-z0-9-]{10,}/,
+  },
+  {
+    name: 'stripe_key',
+    label: 'Stripe secret key',
+    pattern: /\b(?:sk|rk)_(?:live|test)_[A-Za-z0-9]{16,}\b/,
+  },
+  {
+    name: 'google_api_key',
+    label: 'Google API key',
+    pattern: /\bAIza[0-9A-Za-z_-]{35}(?![0-9A-Za-z_-])/,
+  },
+  {
+    name: 'jwt',
+    label: 'JSON Web Token',
+    pattern: /\beyJ[A-Za-z0-9_-]{5,}\.eyJ[A-Za-z0-9_-]{5,}\.[A-Za-z0-9_-]{10,}/,
+  },
+];
+
+/**
+ * Default thresholds of the entropy detector, in bits per character
+ */
+const ENTROPY_DEFAULTS = {
+  minEntropyLength: 20,
+  base64EntropyThreshold: 4.5,
+  hexEntropyThreshold: 3.0,
+};
+
+const HEX_PATTERN = /^[0-9a-f]+$/i;
+const BASE64_PATTERN = /^[A-Za-z0-9+/_-]+={0,2}$/;
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Compute the Shannon entropy of a string
+ * @param {string} text - Text to measure
+ * @returns {number} Bits per character
+ */
+function shannonEntropy(text) {
+  const counts = {};
+  for (const char of text) {
+    counts[char] = (counts[char] || 0) + 1;
+  }
+  let entropy = 0;
+  for (const count of Object.values(counts)) {
+    const probability = count / text.length;
+    entropy -= probability * Math.log2(probability);
+  }
+  return entropy;
+}
+
+/**
+ * Check whether a value is a random-looking hex or base64 string
+ *
+ * Only single tokens are measured: values with spaces, UUIDs and strings
+ * without both letters and digits (words, identifiers) are skipped.
+ * @param {string} value - Value to check
+ * @param {object} options - Thresholds (see ENTROPY_DEFAULTS)
+ * @returns {{entropy: number, charset: string}|null}
+ */
+function detectHighEntropy(value, options) {
+  const thresholds = { ...ENTROPY_DEFAULTS, ...options };
+  if (
+    value.length < thresholds.minEntropyLength ||
+    UUID_PATTERN.test(value) ||
+    !/[0-9]/.test(value) ||
+    !/[A-Za-z]/.test(value)
+  ) {
+    return null;
+  }
+
+  const entropy = shannonEntropy(value);
+  if (HEX_PATTERN.test(value)) {
+    return entropy >= thresholds.hexEntropyThreshold ? { entropy, charset: 'hex' } : null;
+  }
+  if (BASE64_PATTERN.test(value)) {
+    return entropy >= thresholds.base64EntropyThreshold ? { entropy, charset: 'base64' } : null;
+  }
+  return null;
+}
+
+/**
+ * Detect a secret by the value alone
+ * @param {string} value - Value to check
+ * @param {object} [options] - hardcoded_secret rule options: `disabledDetectors`
+ *   (detector names, `entropy` for the entropy detector) and the entropy
+ *   thresholds `minEntropyLength`, `base64EntropyThreshold` and
+ *   `hexEntropyThreshold`
+ * @returns {{detector: string, label: string}|null} The detector that matched
+ */
+function detectSecret(value, options = {}) {
+  const disabled = options.disabledDetectors || [];
+
+  for (const detector of TOKEN_DETECTORS) {
+    if (!disabled.includes(detector.name) && detector.pattern.test(value)) {
+      return { detector: detector.name, label: detector.label };
+    }
+  }
+
+  if (!disabled.includes('entropy')) {
+    const thresholds = {};
+    for (const name of Object.keys(ENTROPY_DEFAULTS)) {
+      if (options[name] !== undefined) {
+        thresholds[name] = options[name];
+      }
+    }
+    const found = detectHighEntropy(value, thresholds);
+    if (found) {
+      return {
+        detector: 'entropy',
+        label: `high-entropy ${found.charset} string, ${found.entropy.toFixed(2)} bits per character`,
+      };
+    }
+  }
+
+  return null;
+}
+
+module.exports = {
+  DETECTOR_NAMES: [...TOKEN_DETECTORS.map((detector) => detector.name), 'entropy'],
+  shannonEntropy,
+  detectSecret,
+};
@@ -0,0 +1,186 @@
+/**
+ * Inline suppression comments
+ *
+ *   # config-lint-disable-next-line hardcoded_secret -- test fixture password
+ *   HOST=0.0.0.0  # config-lint-disable-line public_binding -- behind the load balancer
+ *   // config-lint-disable unexpected_key -- generated section
+ *   // config-lint-enable
+ *
+ * A directive names the rules it suppresses (all rules when it names none)
+ * and must give a justification after `--`. `config-lint-disable` suppresses
+ * issues on the following lines until `config-lint-enable` or the end of the
+ * file. Only issues with a line number can be suppressed, so directives are
+ * read from the comments of the formats that track locations: JSON with
+ * comments, .env and YAML. Text inside values never counts as a directive.
+ */
+
+const lintrc = require('./lintrc');
+const utils = require('./utils');
+
+const DIRECTIVES = [
+  'config-lint-disable-next-line',
+  'config-lint-disable-line',
+  'config-lint-disable',
+  'config-lint-enable',
+];
+
+/**
+ * Rule ids of the issues reported about suppression comments; these
+ * issues cannot be suppressed themselves
+ */
+const SUPPRESSION_RULES = [
+  'unjustified_suppression',
+  'unknown_suppression_rule',
+  'unused_suppression',
+];
+
+/**
+ * A directive at the start of a comment, after its `//`, `/*` or `#` marker
+ */
+const DIRECTIVE_PATTERN = new RegExp(
+  `^(?:\\/\\/|\\/\\*|#)\\s*(${DIRECTIVES.join('|')})(?![\\w-])(.*)`
+);
+
+/**
+ * Find the suppression directives among the comments of a configuration file
+ * @param {array} comments - Comments as {text, line, column}, `text` including
+ *   the comment marker, as returned by the JSON, .env and YAML parsers
+ * @returns {{suppressions: array, issues: array}} Suppressions as
+ *   {key, line, column, rules, fromLine, toLine}, and issues about
+ *   directives without a justification
+ */
+function parseSuppressions(comments) {
+  const suppressions = [];
+  const issues = [];
+  const openBlocks = [];
+
+  for (const comment of comments) {
+    const { line } = comment;
+    // Directives in block comments end with the first line
+    const match = DIRECTIVE_PATTERN.exec(comment.text.split('\n')[0]);
+    if (!match) {
+      continue;
+    }
+
+    const [, directive, rest] = match;
+    const column = comment.column + comment.text.indexOf(directive);
+    if (directive === 'config-lint-enable') {
+      for (const block of openBlocks.splice(0)) {
+        block.toLine = line - 1;
+      }
+      continue;
+    }
+
+    const body = rest.replace(/\*\/\s*$/, '');
+    const separator = body.search(/(?:^|\s)--(?:\s|$)/);
+    const ruleText = separator === -1 ? body : body.slice(0, separator);
+    const justification =
+      separator === -1 ? '' : body.slice(separator).replace(/^\s*--/, '').trim();
+    const key = `${directive}${ruleText.replace(/\s+$/, '')}`;
+
+    if (!justification) {
+      issues.push({
+        key,
+        severity: 'ERROR',
+        message: 'Suppression needs a justification, e.g. "-- test fixture"',
+        rule: 'unjustified_suppression',
+        line,
+        column,
+        endLine: line,
+      });
+      continue;
+    }
+
+    const rules = ruleText.split(/[\s,]+/).filter(Boolean);
+    const suppression = { key, line, column, rules, fromLine: line, toLine: line };
+    if (directive === 'config-lint-disable-next-line') {
+      suppression.fromLine = line + 1;
+      suppression.toLine = line + 1;
+    } else if (directive === 'config-lint-disable') {
+      suppression.fromLine = line + 1;
+      suppression.toLine = Infinity;
+      openBlocks.push(suppression);
+    }
+    suppressions.push(suppression);
+  }
+
+  return { suppressions, issues };
+}
+
+/**
+ * Remove the issues covered by suppressions, and report the rule ids that
+ * are unknown and the suppressions (or the rules of a suppression) that
+ * matched no issue
+ * @param {array} issues - Issue objects
+ * @param {array} suppressions - Suppressions from parseSuppressions
+ * @param {string[]} [ruleIds] - Known rule ids, including those of rule packs
+ * @returns {array} Remaining issues, followed by `unknown_suppression_rule`
+ *   and `unused_suppression` warnings
+ */
+function applySuppressions(issues, suppressions, ruleIds = lintrc.RULE_IDS) {
+  const reported = [];
+  const issueAt = (suppression, message, rule) =>
+    reported.push({
+      key: suppression.key,
+      severity: 'WARNING',
+      message,
+      rule,
+      line: suppression.line,
+      column: suppression.column,
+      endLine: suppression.line,
+    });
+
+  // Suppressions naming only unknown rules suppress nothing
+  const active = [];
+  for (const suppression of suppressions) {
+    const known = suppression.rules.filter((ruleId) => ruleIds.includes(ruleId));
+    for (const ruleId of suppression.rules.filter((name) => !known.includes(name))) {
+      const message = utils.unknownNameMessage('rule', ruleId, ruleIds);
+      issueAt(suppression, `Cannot suppress ${message}`, 'unknown_suppression_rule');
+    }
+    if (suppression.rules.length === 0 || known.length > 0) {
+      active.push({ ...suppression, rules: known });
+    }
+  }
+
+  const used = active.map(() => new Set());
+
+  const remaining = issues.filter((issue) => {
+    if (!issue.line || SUPPRESSION_RULES.includes(issue.rule)) {
+      return true;
+    }
+    let suppressed = false;
+    active.forEach((suppression, index) => {
+      const covers =
+        issue.line >= suppression.fromLine &&
+        issue.line <= suppression.toLine &&
+        (suppression.rules.length === 0 || suppression.rules.includes(issue.rule));
+      if (covers) {
+        used[index].add(issue.rule);
+        suppressed = true;
+      }
+    });
+    return !suppressed;
+  });
+
+  active.forEach((suppression, index) => {
+    let message = null;
+    if (suppression.rules.length === 0) {
+      message = used[index].size === 0 ? 'Suppression matched no issue' : null;
+    } else {
+      const unused = suppression.rules.filter((ruleId) => !used[index].has(ruleId));
+      message = unused.length > 0 ? `Suppression of ${unused.join(', ')} matched no issue` : null;
+    }
+    if (message) {
+      issueAt(suppression, message, 'unused_suppression');
+    }
+  });
+
+  return [...remaining, ...reported];
+}
+
+module.exports = {
+  SUPPRESSION_RULES,
+  parseSuppressions,
+  applySuppressions,
+};
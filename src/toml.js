@@ -0,0 +1,515 @@
+/**
+ * TOML parser for configuration files
+ *
+ * Implements TOML 1.0: tables, arrays of tables, dotted keys, inline
+ * tables, all string forms, integers, floats, booleans and dates.
+ * Dates and times are kept as their source text so they validate as
+ * strings.
+ */
+
+const utils = require('./utils');
+
+const BARE_KEY_CHAR = /[A-Za-z0-9_-]/;
+const INTEGER_PATTERN = /^[+-]?(?:0|[1-9](?:_?[0-9])*)$/;
+const HEX_PATTERN = /^0x[0-9A-Fa-f](?:_?[0-9A-Fa-f])*$/;
+const OCT_PATTERN = /^0o[0-7](?:_?[0-7])*$/;
+const BIN_PATTERN = /^0b[01](?:_?[01])*$/;
+const FLOAT_PATTERN =
+  /^[+-]?(?:0|[1-9](?:_?[0-9])*)(?:\.[0-9](?:_?[0-9])*)?(?:[eE][+-]?[0-9](?:_?[0-9])*)?$/;
+const SPECIAL_FLOAT_PATTERN = /^[+-]?(?:inf|nan)$/;
+const DATE_TIME_PATTERN =
+  /^\d{4}-\d{2}-\d{2}(?:[Tt ]\d{2}:\d{2}:\d{2}(?:\.\d+)?(?:[Zz]|[+-]\d{2}:\d{2})?)?$/;
+const LOCAL_TIME_PATTERN = /^\d{2}:\d{2}:\d{2}(?:\.\d+)?$/;
+
+const ESCAPES = {
+  b: '\b',
+  t: '\t',
+  n: '\n',
+  f: '\f',
+  r: '\r',
+  '"': '"',
+  '\\': '\\',
+};
+
+/**
+ * Character-level TOML parser. One instance parses one document.
+ */
+class TomlParser {
+  constructor(content) {
+    this.src = content.replace(/\r\n/g, '\n');
+    if (this.src.charCodeAt(0) === 0xfeff) {
+      this.src = this.src.slice(1);
+    }
+    this.pos = 0;
+    this.line = 1;
+    this.lineStart = 0;
+
+    this.root = {};
+    this.current = this.root;
+    // Tables opened by a [header] (cannot be opened twice)
+    this.definedTables = new Set();
+    // Inline tables (cannot be extended after their closing brace)
+    this.frozen = new Set();
+    // Arrays created by [[header]] (can receive further tables)
+    this.tableArrays = new Set();
+  }
+
+  // ---- Position helpers ----
+
+  peek(offset = 0) {
+    return this.src[this.pos + offset];
+  }
+
+  isEnd() {
+    return this.pos >= this.src.length;
+  }
+
+  error(message) {
+    return utils.createParseError(message, this.line, this.pos - this.lineStart + 1);
+  }
+
+  advance(count = 1) {
+    for (let i = 0; i < count && this.pos < this.src.length; i++) {
+      if (this.src[this.pos] === '\n') {
+        this.line++;
+        this.lineStart = this.pos + 1;
+      }
+      this.pos++;
+    }
+  }
+
+  skipSpaces() {
+    while (this.peek() === ' ' || this.peek() === '\t') this.pos++;
+  }
+
+  skipComment() {
+    if (this.peek() === '#') {
+      while (!this.isEnd() && this.peek() !== '\n') this.pos++;
+    }
+  }
+
+  /**
+   * Skip whitespace, comments and newlines (used between statements and
+   * inside arrays)
+   */
+  skipBlank() {
+    for (;;) {
+      this.skipSpaces();
+      this.skipComment();
+      if (this.peek() !== '\n') return;
+      this.advance();
+    }
+  }
+
+  /**
+   * Require the rest of the line to be whitespace or a comment
+   */
+  expectLineEnd() {
+    this.skipSpaces();
+    this.skipComment();
+    if (!this.isEnd() && this.peek() !== '\n') {
+      throw this.error(`Unexpected character "${this.peek()}"`);
+    }
+  }
+
+  // ---- Statements ----
+
+  parse() {
+    for (;;) {
+      this.skipBlank();
+      if (this.isEnd()) break;
+
+      if (this.peek() === '[') {
+        this.parseTableHeader();
+      } else {
+        this.parseKeyValue(this.current);
+      }
+      this.expectLineEnd();
+    }
+    return this.root;
+  }
+
+  parseTableHeader() {
+    const isArray = this.peek(1) === '[';
+    this.pos += isArray ? 2 : 1;
+    this.skipSpaces();
+    const keys = this.parseKey();
+    this.skipSpaces();
+
+    const closing = isArray ? ']]' : ']';
+    if (!this.src.startsWith(closing, this.pos)) {
+      throw this.error(`Expected "${closing}" to close table header`);
+    }
+    this.pos += closing.length;
+
+    const parent = this.descend(this.root, keys.slice(0, -1), true);
+    const last = keys[keys.length - 1];
+
+    if (isArray) {
+      if (!Object.prototype.hasOwnProperty.call(parent, last)) {
+        utils.defineEntry(parent, last, []);
+        this.tableArrays.add(parent[last]);
+      } else if (!this.tableArrays.has(parent[last])) {
+        throw this.error(`Cannot redefine "${keys.join('.')}" as an array of tables`);
+      }
+      const table = {};
+      parent[last].push(table);
+      this.current = table;
+      return;
+    }
+
+    if (Object.prototype.hasOwnProperty.call(parent, last)) {
+      const existing = parent[last];
+      if (
+        !this.isTable(existing) ||
+        this.definedTables.has(existing) ||
+        this.frozen.has(existing)
+      ) {
+        throw this.error(`Duplicate table "${keys.join('.')}"`);
+      }
+      this.definedTables.add(existing);
+      this.current = existing;
+      return;
+    }
+
+    const table = {};
+    utils.defineEntry(parent, last, table);
+    this.definedTables.add(table);
+    this.current = table;
+  }
+
+  /**
+   * Parse `key = value` into the given table
+   * @param {object} table - Target table
+   */
+  parseKeyValue(table) {
+    const keys = this.parseKey();
+    this.skipSpaces();
+    if (this.peek() !== '=') {
+      throw this.error('Expected "=" after key');
+    }
+    this.pos++;
+    this.skipSpaces();
+
+    const target = this.descend(table, keys.slice(0, -1), false);
+    const last = keys[keys.length - 1];
+    if (Object.prototype.hasOwnProperty.call(target, last)) {
+      throw this.error(`Duplicate key "${keys.join('.')}"`);
+    }
+    utils.defineEntry(target, last, this.parseValue());
+  }
+
+  /**
+   * Walk (and create) intermediate tables for a dotted key
+   * @param {object} table - Starting table
+   * @param {string[]} keys - Key segments to walk
+   * @param {boolean} fromHeader - Whether the walk comes from a table header
+   * @returns {object}
+   */
+  descend(table, keys, fromHeader) {
+    let current = table;
+    for (const key of keys) {
+      if (!Object.prototype.hasOwnProperty.call(current, key)) {
+        utils.defineEntry(current, key, {});
+      } else if (fromHeader && this.tableArrays.has(current[key])) {
+        const entries = current[key];
+        current = entries[entries.length - 1];
+        continue;
+      }
+
+      const next = current[key];
+      if (!this.isTable(next) || this.frozen.has(next)) {
+        throw this.error(`Cannot extend "${key}": it is not a table`);
+      }
+      if (!fromHeader && this.definedTables.has(next) && next !== this.current) {
+        throw this.error(`Cannot extend table "${key}" with a dotted key`);
+      }
+      current = next;
+    }
+    return current;
+  }
+
+  isTable(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+  }
+
+  // ---- Keys ----
+
+  /**
+   * Parse a possibly dotted key
+   * @returns {string[]} Key segments
+   */
+  parseKey() {
+    const keys = [this.parseSimpleKey()];
+    for (;;) {
+      this.skipSpaces();
+      if (this.peek() !== '.') return keys;
+      this.pos++;
+      this.skipSpaces();
+      keys.push(this.parseSimpleKey());
+    }
+  }
+
+  parseSimpleKey() {
+    const ch = this.peek();
+    if (ch === '"') return this.parseBasicString();
+    if (ch === "'") return this.parseLiteralString();
+
+    const start = this.pos;
+    while (!this.isEnd() && BARE_KEY_CHAR.test(this.peek())) this.pos++;
+    if (this.pos === start) {
+      throw this.error(ch === undefined ? 'Expected a key' : `Invalid character "${ch}" in key`);
+    }
+    return this.src.slice(start, this.pos);
+  }
+
+  // ---- Values ----
+
+  parseValue() {
+    const ch = this.peek();
+
+    if (ch === '"') {
+      return this.src.startsWith('"""', this.pos)
+        ? this.parseMultilineBasicString()
+        : this.parseBasicString();
+    }
+    if (ch === "'") {
+      return this.src.startsWith("'''", this.pos)
+        ? this.parseMultilineLiteralString()
+        : this.parseLiteralString();
+    }
+    if (ch === '[') return this.parseArray();
+    if (ch === '{') return this.parseInlineTable();
+    if (this.src.startsWith('true', this.pos) && !BARE_KEY_CHAR.test(this.peek(4) || '')) {
+      this.pos += 4;
+      return true;
+    }
+    if (this.src.startsWith('false', this.pos) && !BARE_KEY_CHAR.test(this.peek(5) || '')) {
+      this.pos += 5;
+      return false;
+    }
+    return this.parseNumberOrDate();
+  }
+
+  parseNumberOrDate() {
+    const start = this.pos;
+    while (!this.isEnd() && /[0-9A-Za-z_:.+-]/.test(this.peek())) this.pos++;
+
+    // A space may separate the date and time parts of a date-time
+    if (
+      /^\d{4}-\d{2}-\d{2}$/.test(this.src.slice(start, this.pos)) &&
+      this.peek() === ' ' &&
+      /\d/.test(this.peek(1) || '')
+    ) {
+      this.pos++;
+      while (!this.isEnd() && /[0-9:.Zz+-]/.test(this.peek())) this.pos++;
+    }
+
+    const token = this.src.slice(start, this.pos);
+    if (!token) {
+      throw this.error(
+        this.isEnd() || this.peek() === '\n' ? 'Missing value' : `Unexpected character "${this.peek()}"`
+      );
+    }
+
+    if (DATE_TIME_PATTERN.test(token) || LOCAL_TIME_PATTERN.test(token)) {
+      return token;
+    }
+    if (INTEGER_PATTERN.test(token)) {
+      return Number(token.replace(/_/g, ''));
+    }
+    if (HEX_PATTERN.test(token) || OCT_PATTERN.test(token) || BIN_PATTERN.test(token)) {
+      const radix = { x: 16, o: 8, b: 2 }[token[1]];
+      return parseInt(token.slice(2).replace(/_/g, ''), radix);
+    }
+    if (SPECIAL_FLOAT_PATTERN.test(token)) {
+      if (token.endsWith('nan')) return NaN;
+      return token.startsWith('-') ? -Infinity : Infinity;
+    }
+    if (FLOAT_PATTERN.test(token)) {
+      return Number(token.replace(/_/g, ''));
+    }
+
+    this.pos = start;
+    throw this.error(`Invalid value "${token}"`);
+  }
+
+  parseArray() {
+    const array = [];
+    this.pos++;
+
+    for (;;) {
+      this.skipBlank();
+      if (this.peek() === ']') {
+        this.pos++;
+        return array;
+      }
+      if (this.isEnd()) {
+        throw this.error('Unterminated array');
+      }
+
+      array.push(this.parseValue());
+      this.skipBlank();
+
+      if (this.peek() === ',') {
+        this.pos++;
+      } else if (this.peek() !== ']') {
+        throw this.error('Expected "," or "]" in array');
+      }
+    }
+  }
+
+  parseInlineTable() {
+    const table = {};
+    this.pos++;
+    this.skipSpaces();
+
+    if (this.peek() === '}') {
+      this.pos++;
+      this.frozen.add(table);
+      return table;
+    }
+
+    for (;;) {
+      this.skipSpaces();
+      this.parseKeyValue(table);
+      this.skipSpaces();
+
+      if (this.peek() === '}') {
+        this.pos++;
+        this.frozen.add(table);
+        return table;
+      }
+      if (this.peek() !== ',') {
+        throw this.error('Expected "," or "}" in inline table');
+      }
+      this.pos++;
+    }
+  }
+
+  // ---- Strings ----
+
+  parseBasicString() {
+    let result = '';
+    this.pos++;
+
+    for (;;) {
+      const ch = this.peek();
+      if (ch === undefined || ch === '\n') {
+        throw this.error('Unterminated string');
+      }
+      if (ch === '"') {
+        this.pos++;
+        return result;
+      }
+      if (ch === '\\') {
+        result += this.parseEscape();
+        continue;
+      }
+      result += ch;
+      this.pos++;
+    }
+  }
+
+  parseLiteralString() {
+    this.pos++;
+    const start = this.pos;
+    while (this.peek() !== "'") {
+      if (this.isEnd() || this.peek() === '\n') {
+        throw this.error('Unterminated string');
+      }
+      this.pos++;
+    }
+    const result = this.src.slice(start, this.pos);
+    this.pos++;
+    return result;
+  }
+
+  parseMultilineBasicString() {
+    let result = '';
+    this.pos += 3;
+    if (this.peek() === '\n') this.advance();
+
+    for (;;) {
+      if (this.isEnd()) {
+        throw this.error('Unterminated multi-line string');
+      }
+      if (this.src.startsWith('"""', this.pos)) {
+        // Up to two quotes directly before the delimiter belong to the value
+        let extra = 0;
+        while (extra < 2 && this.peek(3 + extra) === '"') extra++;
+        result += '"'.repeat(extra);
+        this.pos += 3 + extra;
+        return result;
+      }
+
+      const ch = this.peek();
+      if (ch === '\\') {
+        // A line-ending backslash trims the following whitespace and newlines
+        let lookahead = 1;
+        while (this.peek(lookahead) === ' ' || this.peek(lookahead) === '\t') lookahead++;
+        if (this.peek(lookahead) === '\n') {
+          this.advance(lookahead);
+          while (/[ \t\n]/.test(this.peek() || '')) this.advance();
+          continue;
+        }
+        result += this.parseEscape();
+        continue;
+      }
+
+      result += ch;
+      this.advance();
+    }
+  }
+
+  parseMultilineLiteralString() {
+    this.pos += 3;
+    if (this.peek() === '\n') this.advance();
+
+    const start = this.pos;
+    const end = this.src.indexOf("'''", this.pos);
+    if (end === -1) {
+      this.advance(this.src.length - this.pos);
+      throw this.error('Unterminated multi-line string');
+    }
+
+    let extra = 0;
+    while (extra < 2 && this.src[end + 3 + extra] === "'") extra++;
+    this.advance(end + extra - this.pos);
+    const result = this.src.slice(start, this.pos);
+    this.pos += 3;
+    return result;
+  }
+
+  parseEscape() {
+    const next = this.peek(1);
+    if (Object.prototype.hasOwnProperty.call(ESCAPES, next)) {
+      this.pos += 2;
+      return ESCAPES[next];
+    }
+    if (next === 'u' || next === 'U') {
+      const length = next === 'u' ? 4 : 8;
+      const hex = this.src.substr(this.pos + 2, length);
+      if (!new RegExp(`^[0-9A-Fa-f]{${length}}$`).test(hex)) {
+        throw this.error('Invalid unicode escape');
+      }
+      this.pos += 2 + length;
+      return String.fromCodePoint(parseInt(hex, 16));
+    }
+    throw this.error(`Invalid escape sequence "\\${next || ''}"`);
+  }
+}
+
+/**
+ * Parse a TOML document
+ * @param {string} content - TOML source text
+ * @returns {object}
+ * @throws {SyntaxError} With line and column properties if the TOML is invalid
+ */
+function parseToml(content) {
+  return new TomlParser(content).parse();
+}
+
+module.exports = {
+  parseToml,
+};
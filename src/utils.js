@@ -43,6 +43,35 @@ function deepClone(obj) {
   return JSON.parse(JSON.stringify(obj));
 }
 
+/**
+ * Compare two values structurally (key order of objects does not matter)
+ * @param {any} a - First value
+ * @param {any} b - Second value
+ * @returns {boolean}
+ */
+function isDeepEqual(a, b) {
+  if (a === b) {
+    return true;
+  }
+  if (
+    a === null ||
+    b === null ||
+    typeof a !== 'object' ||
+    typeof b !== 'object' ||
+    Array.isArray(a) !== Array.isArray(b)
+  ) {
+    return false;
+  }
+  const keysA = Object.keys(a);
+  const keysB = Object.keys(b);
+  return (
+    keysA.length === keysB.length &&
+    keysA.every(
+      (key) => Object.prototype.hasOwnProperty.call(b, key) && isDeepEqual(a[key], b[key])
+    )
+  );
+}
+
 /**
  * Check if a string is a valid email format
  * @param {string} email - Email to validate
@@ -155,15 +184,255 @@ function isSuspiciousSecretKey(key) {
   return secretPatterns.some((pattern) => pattern.test(key));
 }
 
+/**
+ * Build the path of a child value, e.g. `database.replicas[1].password`
+ * @param {string} parentPath - Path of the parent ('' for the root)
+ * @param {string|number} key - Object key or array index
+ * @returns {string}
+ */
+function joinPath(parentPath, key) {
+  if (typeof key === 'number') {
+    return `${parentPath}[${key}]`;
+  }
+  return parentPath ? `${parentPath}.${key}` : key;
+}
+
+/**
+ * Split a key path into segments
+ *
+ * `database.replicas[1].password` becomes
+ * [{key: 'database'}, {key: 'replicas'}, {index: 1}, {key: 'password'}].
+ * `[*]` (or `[]`) is a wildcard segment matching every array item.
+ * @param {string} keyPath - Key path
+ * @returns {array}
+ */
+function parsePath(keyPath) {
+  const segments = [];
+  const pattern = /([^.[\]]+)|\[(\d*|\*)\]/g;
+  let match;
+  while ((match = pattern.exec(keyPath)) !== null) {
+    if (match[1] !== undefined) {
+      segments.push({ key: match[1] });
+    } else {
+      const index = match[2];
+      segments.push({ index: index === '' || index === '*' ? '*' : Number(index) });
+    }
+  }
+  return segments;
+}
+
+/**
+ * Replace array indices in a path with the `[*]` wildcard
+ * @param {string} keyPath - Key path, e.g. `servers[2].host`
+ * @returns {string} e.g. `servers[*].host`
+ */
+function normalizePath(keyPath) {
+  return keyPath.replace(/\[(\d*|\*)\]/g, '[*]');
+}
+
+/**
+ * Check whether a path lies inside another (`a.b` is inside `a`)
+ * @param {string} keyPath - Candidate descendant path
+ * @param {string} ancestorPath - Candidate ancestor path
+ * @returns {boolean}
+ */
+function isDescendantPath(keyPath, ancestorPath) {
+  return (
+    keyPath.startsWith(`${ancestorPath}.`) || keyPath.startsWith(`${ancestorPath}[`)
+  );
+}
+
+/**
+ * Find the values matching a key path (which may contain `[*]` wildcards)
+ * @param {object} config - Configuration object
+ * @param {string} keyPath - Key path
+ * @returns {array} Matches as {path, value}, with concrete paths
+ */
+function resolvePath(config, keyPath) {
+  let matches = [{ path: '', value: config }];
+
+  for (const segment of parsePath(keyPath)) {
+    const next = [];
+    for (const match of matches) {
+      const { value } = match;
+      if (segment.key !== undefined) {
+        if (
+          value !== null &&
+          typeof value === 'object' &&
+          !Array.isArray(value) &&
+          Object.prototype.hasOwnProperty.call(value, segment.key)
+        ) {
+          next.push({
+            path: joinPath(match.path, segment.key),
+            value: value[segment.key],
+          });
+        }
+      } else if (Array.isArray(value)) {
+        const indices =
+          segment.index === '*' ? value.map((item, index) => index) : [segment.index];
+        for (const index of indices) {
+          if (index < value.length) {
+            next.push({ path: joinPath(match.path, index), value: value[index] });
+          }
+        }
+      }
+    }
+    matches = next;
+  }
+
+  return matches;
+}
+
+/**
+ * Visit every value of a configuration depth-first, in document order
+ *
+ * The visitor receives the full path, the name of the closest object key
+ * (array items inherit the key of their array), the value and the path of
+ * the parent ('' for top-level keys). Returning false from the visitor
+ * skips the children of that value.
+ * @param {any} value - Value to walk
+ * @param {function} visit - Visitor (path, key, value, parentPath) => boolean|void
+ * @param {string} [keyPath] - Path of the value
+ * @param {string} [key] - Key name of the value
+ * @param {string} [parentPath] - Path of the parent value
+ */
+function walkConfig(value, visit, keyPath = '', key = '', parentPath = '') {
+  if (keyPath && visit(keyPath, key, value, parentPath) === false) {
+    return;
+  }
+
+  if (Array.isArray(value)) {
+    value.forEach((item, index) => {
+      walkConfig(item, visit, joinPath(keyPath, index), key, keyPath);
+    });
+  } else if (value !== null && typeof value === 'object') {
+    for (const childKey of Object.keys(value)) {
+      walkConfig(value[childKey], visit, joinPath(keyPath, childKey), childKey, keyPath);
+    }
+  }
+}
+
+/**
+ * Check whether a value is a plain object or an array
+ * @param {any} value - Value to check
+ * @returns {boolean}
+ */
+function isContainer(value) {
+  return value !== null && typeof value === 'object';
+}
+
+/**
+ * Compute the edit distance between two strings
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number}
+ */
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Describe an unknown name, suggesting the closest allowed one
+ * @param {string} kind - What the name is, e.g. 'rule keyword'
+ * @param {string} name - Unknown name
+ * @param {string[]} allowed - Allowed names
+ * @returns {string}
+ */
+function unknownNameMessage(kind, name, allowed) {
+  const closest = allowed
+    .map((candidate) => ({
+      candidate,
+      distance: editDistance(name.toLowerCase(), candidate.toLowerCase()),
+    }))
+    .sort((a, b) => a.distance - b.distance)[0];
+
+  if (closest && closest.distance <= 2) {
+    return `unknown ${kind} "${name}" (did you mean "${closest.candidate}"?)`;
+  }
+  return `unknown ${kind} "${name}". Allowed: ${allowed.join(', ')}`;
+}
+
+/**
+ * Compare two dotted version numbers such as `2.4` and `3.0.0`
+ *
+ * Missing parts count as 0 and prerelease or build suffixes are ignored.
+ * @param {string} a - First version
+ * @param {string} b - Second version
+ * @returns {number} Negative if a is older than b, 0 if equal, positive if newer
+ */
+function compareVersions(a, b) {
+  const parts = (version) => String(version).split(/[-+]/)[0].split('.').map(Number);
+  const left = parts(a);
+  const right = parts(b);
+  for (let i = 0; i < Math.max(left.length, right.length); i++) {
+    const difference = (left[i] || 0) - (right[i] || 0);
+    if (difference !== 0) {
+      return difference;
+    }
+  }
+  return 0;
+}
+
+/**
+ * Set a property without triggering the `__proto__` setter, so parsed keys
+ * such as `__proto__` become plain entries
+ * @param {object} object - Target object
+ * @param {string} key - Property name
+ * @param {any} value - Property value
+ */
+function defineEntry(object, key, value) {
+  Object.defineProperty(object, key, {
+    value,
+    writable: true,
+    enumerable: true,
+    configurable: true,
+  });
+}
+
+/**
+ * Create a syntax error for a configuration file, carrying the source position
+ * @param {string} message - Error description
+ * @param {number} line - 1-based line number
+ * @param {number} column - 1-based column number
+ * @returns {SyntaxError}
+ */
+function createParseError(message, line, column) {
+  const error = new SyntaxError(`${message} at line ${line}, column ${column}`);
+  error.line = line;
+  error.column = column;
+  return error;
+}
+
 module.exports = {
   isEmpty,
   getType,
   deepClone,
+  isDeepEqual,
   isValidEmail,
   isValidUrl,
   isWithinRange,
   matchesPattern,
   checkPasswordStrength,
   isSuspiciousSecretKey,
+  joinPath,
+  parsePath,
+  normalizePath,
+  isDescendantPath,
+  resolvePath,
+  walkConfig,
+  isContainer,
+  compareVersions,
+  unknownNameMessage,
+  defineEntry,
+  createParseError,
   COMMON_WEAK_PASSWORDS,
 };
@@ -4,15 +4,94 @@
 
 const utils = require('./utils');
 const rules = require('./rules');
+const manifest = require('./manifest');
+const jsonSchema = require('./jsonschema');
+const formats = require('./formats');
+const coerce = require('./coerce');
+const suppress = require('./suppress');
+const plugins = require('./plugins');
+const lintrc = require('./lintrc');
+const profiles = require('./profiles');
 
 /**
  * Validate a configuration value against a rule definition
+ *
+ * Errors found in nested values (rules with `properties` or `items`) are
+ * prefixed with their path relative to the value, e.g. `[1].port: ...`.
  * @param {any} value - Value to validate
  * @param {object} rule - Rule definition with type, constraints, etc.
  * @param {string} key - Key name (for error messages)
  * @returns {array} Array of error messages, empty if valid
  */
 function validateValue(value, rule, key) {
+  return collectValueIssues(value, rule, '').map((issue) =>
+    issue.key ? `${issue.key}: ${issue.message}` : issue.message
+  );
+}
+
+/**
+ * Validate a value and, for object and array rules, its nested values
+ * @param {any} value - Value to validate
+ * @param {object} rule - Rule definition
+ * @param {string} keyPath - Path of the value
+ * @returns {array} Issue objects keyed by the path of the offending value
+ */
+function collectValueIssues(value, rule, keyPath) {
+  const issues = checkValueConstraints(value, rule).map((message) => ({
+    key: keyPath,
+    severity: 'ERROR',
+    message,
+    rule: 'validation_error',
+  }));
+
+  if (utils.getType(value) === 'object') {
+    for (const requiredKey of rule.required || []) {
+      if (!Object.prototype.hasOwnProperty.call(value, requiredKey)) {
+        issues.push({
+          key: utils.joinPath(keyPath, requiredKey),
+          severity: 'ERROR',
+          message: 'Missing required key',
+          rule: 'missing_required_key',
+        });
+      }
+    }
+
+    const properties = rule.properties || {};
+    for (const childKey of Object.keys(value)) {
+      const childPath = utils.joinPath(keyPath, childKey);
+      if (Object.prototype.hasOwnProperty.call(properties, childKey)) {
+        issues.push(...collectValueIssues(value[childKey], properties[childKey], childPath));
+      } else if (rule.additionalProperties === false) {
+        issues.push({
+          key: childPath,
+          severity: 'WARNING',
+          message: 'Unexpected key not defined in schema',
+          rule: 'unexpected_key',
+        });
+      } else if (utils.getType(rule.additionalProperties) === 'object') {
+        issues.push(
+          ...collectValueIssues(value[childKey], rule.additionalProperties, childPath)
+        );
+      }
+    }
+  }
+
+  if (Array.isArray(value) && rule.items) {
+    value.forEach((item, index) => {
+      issues.push(...collectValueIssues(item, rule.items, utils.joinPath(keyPath, index)));
+    });
+  }
+
+  return issues;
+}
+
+/**
+ * Check the constraints of a rule that apply to the value itself
+ * @param {any} value - Value to validate
+ * @param {object} rule - Rule definition
+ * @returns {string[]} Error messages
+ */
+function checkValueConstraints(value, rule) {
   const errors = [];
 
   // Check for empty/null values if not allowed
@@ -32,6 +111,14 @@ function validateValue(value, rule, key) {
     }
   }
 
+  // Named formats (url, email, port, cron, ...)
+  if (rule.format !== undefined) {
+    const formatError = formats.checkFormat(value, rule);
+    if (formatError) {
+      errors.push(formatError);
+    }
+  }
+
   // String-specific validations
   if (rule.type === 'string' && typeof value === 'string') {
     if (rule.minLength && value.length < rule.minLength) {
@@ -81,24 +168,528 @@ function validateValue(value, rule, key) {
     }
   }
 
+  // Array-specific validations
+  if (Array.isArray(value)) {
+    if (rule.minItems !== undefined && value.length < rule.minItems) {
+      errors.push(`Array has ${value.length} items, minimum is ${rule.minItems}`);
+    }
+
+    if (rule.maxItems !== undefined && value.length > rule.maxItems) {
+      errors.push(`Array has ${value.length} items, maximum is ${rule.maxItems}`);
+    }
+
+    if (rule.uniqueItems) {
+      const duplicate = value.findIndex((item, index) =>
+        value.slice(0, index).some((other) => utils.isDeepEqual(other, item))
+      );
+      if (duplicate !== -1) {
+        errors.push(`Array items must be unique, item ${duplicate} is a duplicate`);
+      }
+    }
+  }
+
   return errors;
 }
 
 /**
- * Validate a configuration object against a schema
- * @param {object} config - Configuration object to validate
+ * Find the concrete paths of a required key that are missing from a config
+ *
+ * Required keys may be nested paths (`database.password`) and may use `[*]`
+ * to require a key in every array item (`servers[*].host`).
+ * @param {object} config - Configuration object
+ * @param {string} requiredKey - Required key path
+ * @returns {string[]} Missing paths, empty if the key is present
+ */
+function findMissingPaths(config, requiredKey) {
+  // Flat keys containing dots (e.g. from .properties files) match as-is
+  if (requiredKey in config) {
+    return [];
+  }
+
+  const match = requiredKey.match(/^(.*?)\.?([^.[\]]+|\[(?:\d*|\*)\])$/);
+  const parentPath = match ? match[1] : '';
+  const lastSegment = match ? match[2] : requiredKey;
+  if (!parentPath) {
+    return [requiredKey];
+  }
+
+  // With a wildcard parent, an absent array simply has no items to check
+  const parents = utils.resolvePath(config, parentPath);
+  if (parents.length === 0) {
+    return /\[\*?\]/.test(parentPath) ? [] : [requiredKey];
+  }
+
+  return parents
+    .filter((parent) => utils.resolvePath(parent.value, lastSegment).length === 0)
+    .map((parent) =>
+      lastSegment.startsWith('[')
+        ? `${parent.path}${lastSegment}`
+        : utils.joinPath(parent.path, lastSegment)
+    );
+}
+
+/**
+ * Find the rule that applies to a key path
+ *
+ * Rule keys may be top-level keys, nested paths, or paths with `[*]`
+ * wildcards for array items. An exact path takes precedence.
+ * @param {object} schemaRules - Schema rules keyed by path
+ * @param {object} wildcardRules - Schema rules keyed by normalized path
+ * @param {string} keyPath - Concrete key path
+ * @returns {object|undefined}
+ */
+function findRule(schemaRules, wildcardRules, keyPath) {
+  if (Object.prototype.hasOwnProperty.call(schemaRules, keyPath)) {
+    return schemaRules[keyPath];
+  }
+  return wildcardRules[utils.normalizePath(keyPath)];
+}
+
+/**
+ * Operators of key comparisons and their wording in messages
+ */
+const COMPARISONS = {
+  '<': { text: 'less than', test: (a, b) => a < b },
+  '<=': { text: 'less than or equal to', test: (a, b) => a <= b },
+  '>': { text: 'greater than', test: (a, b) => a > b },
+  '>=': { text: 'greater than or equal to', test: (a, b) => a >= b },
+  '==': { text: 'equal to', test: (a, b) => utils.isDeepEqual(a, b) },
+  '!=': { text: 'different from', test: (a, b) => !utils.isDeepEqual(a, b) },
+};
+
+/**
+ * Look up the value at a key path (no wildcards)
+ * @param {object} config - Configuration object
+ * @param {string} keyPath - Key path, e.g. `database.ssl`
+ * @returns {any} The value, or undefined if the key is absent or null
+ */
+function getValueAtPath(config, keyPath) {
+  // Flat keys containing dots (e.g. from .properties files) match as-is
+  if (Object.prototype.hasOwnProperty.call(config, keyPath)) {
+    return config[keyPath] === null ? undefined : config[keyPath];
+  }
+  const [match] = utils.resolvePath(config, keyPath);
+  return match && match.value !== null ? match.value : undefined;
+}
+
+/**
+ * Describe the condition of a requiredIf/requiredUnless entry
+ * @param {object} condition - Entry with `when` and optional `equals`
+ * @returns {string} e.g. `ssl is true`, or `ssl is set` without `equals`
+ */
+function describeCondition(condition) {
+  return condition.equals === undefined
+    ? `${condition.when} is set`
+    : `${condition.when} is ${JSON.stringify(condition.equals)}`;
+}
+
+/**
+ * Whether the condition of a requiredIf/requiredUnless entry holds
+ * @param {object} config - Configuration object
+ * @param {object} condition - Entry with `when` and optional `equals`
+ * @returns {boolean}
+ */
+function conditionHolds(config, condition) {
+  const value = getValueAtPath(config, condition.when);
+  if (condition.equals === undefined) {
+    return value !== undefined;
+  }
+  return utils.isDeepEqual(value, condition.equals);
+}
+
+/**
+ * Check the requirements between keys of a schema
+ *
+ * - `requiredIf`: keys required when another key has a value
+ * - `requiredUnless`: keys required unless another key has a value
+ * - `mutuallyExclusive`: groups of keys of which at most one may be set
+ * - `comparisons`: ordering or equality between the values of two keys
+ * @param {object} config - Configuration object
  * @param {object} schema - Schema definition
  * @returns {array} Array of issue objects
  */
-function validateSchema(config, schema) {
+function checkKeyDependencies(config, schema) {
+  const issues = [];
+  const conditional = [
+    ['requiredIf', 'required_if', 'when', (holds) => holds],
+    ['requiredUnless', 'required_unless', 'unless', (holds) => !holds],
+  ];
+
+  for (const [listName, ruleId, wording, applies] of conditional) {
+    for (const condition of schema[listName] || []) {
+      if (!applies(conditionHolds(config, condition))) {
+        continue;
+      }
+      const reason = `required ${wording} ${describeCondition(condition)}`;
+      for (const key of condition.keys) {
+        if (getValueAtPath(config, key) === undefined) {
+          issues.push({
+            key,
+            severity: 'ERROR',
+            message: `Missing required key (${reason})`,
+            rule: ruleId,
+          });
+        }
+      }
+    }
+  }
+
+  for (const group of schema.mutuallyExclusive || []) {
+    const present = group.filter((key) => getValueAtPath(config, key) !== undefined);
+    for (const key of present.slice(1)) {
+      issues.push({
+        key,
+        severity: 'ERROR',
+        message:
+          `Cannot be set together with ${present[0]} ` +
+          `(only one of ${group.join(', ')} is allowed)`,
+        rule: 'mutually_exclusive_keys',
+      });
+    }
+  }
+
+  for (const comparison of schema.comparisons || []) {
+    const value = getValueAtPath(config, comparison.key);
+    const other = getValueAtPath(config, comparison.other);
+    const operator = COMPARISONS[comparison.operator];
+    if (value === undefined || other === undefined) {
+      continue;
+    }
+    // Ordering only applies to two numbers or two strings; type rules
+    // report values of the wrong type
+    const ordered = !['==', '!='].includes(comparison.operator);
+    const comparable =
+      typeof value === typeof other && ['number', 'string'].includes(typeof value);
+    if (ordered && !comparable) {
+      continue;
+    }
+    if (!operator.test(value, other)) {
+      issues.push({
+        key: comparison.key,
+        severity: 'ERROR',
+        message:
+          `Value ${JSON.stringify(value)} must be ${operator.text} ` +
+          `${comparison.other} (${JSON.stringify(other)})`,
+        rule: 'key_comparison',
+      });
+    }
+  }
+
+  return issues;
+}
+
+/**
+ * Coerce the string values of a configuration to the types of their rules
+ * @param {object} config - Configuration object
+ * @param {object} schemaRules - Schema rules keyed by path
+ * @param {object} wildcardRules - Schema rules keyed by normalized path
+ * @returns {{data: object, issues: array}} Coerced copy of the configuration,
+ *   and issues for values that cannot be converted (left unchanged)
+ */
+function coerceConfig(config, schemaRules, wildcardRules) {
+  const issues = [];
+
+  const visit = (value, keyPath) => {
+    const rule = keyPath ? findRule(schemaRules, wildcardRules, keyPath) : undefined;
+    if (rule && typeof value === 'string') {
+      const coerced = coerce.coerceValue(value, rule);
+      if (coerced.error) {
+        issues.push({
+          key: keyPath,
+          severity: 'ERROR',
+          message: coerced.error,
+          rule: 'type_coercion',
+        });
+        return value;
+      }
+      return coerced.value;
+    }
+
+    if (Array.isArray(value)) {
+      return value.map((item, index) => visit(item, utils.joinPath(keyPath, index)));
+    }
+    if (value !== null && typeof value === 'object') {
+      const result = {};
+      for (const [key, child] of Object.entries(value)) {
+        utils.defineEntry(result, key, visit(child, utils.joinPath(keyPath, key)));
+      }
+      return result;
+    }
+    return value;
+  };
+
+  return { data: visit(config, ''), issues };
+}
+
+/**
+ * Copy the objects and arrays of a configuration
+ * @param {any} value - Configuration value
+ * @returns {any}
+ */
+function cloneConfig(value) {
+  if (Array.isArray(value)) {
+    return value.map(cloneConfig);
+  }
+  if (value !== null && typeof value === 'object') {
+    const result = {};
+    for (const [key, child] of Object.entries(value)) {
+      utils.defineEntry(result, key, cloneConfig(child));
+    }
+    return result;
+  }
+  return value;
+}
+
+/**
+ * Fill in the `default` values of the properties of nested object rules
+ * @param {any} value - Value of the rule (modified in place)
+ * @param {object} rule - Rule definition
+ */
+function applyNestedDefaults(value, rule) {
+  if (Array.isArray(value) && rule.items) {
+    value.forEach((item) => applyNestedDefaults(item, rule.items));
+    return;
+  }
+  if (value === null || typeof value !== 'object' || !rule.properties) {
+    return;
+  }
+  for (const [key, propertyRule] of Object.entries(rule.properties)) {
+    if (value[key] === undefined && propertyRule.default !== undefined) {
+      value[key] = cloneConfig(propertyRule.default);
+    }
+    applyNestedDefaults(value[key], propertyRule);
+  }
+}
+
+/**
+ * Fill in the `default` values of the schema rules for absent keys
+ *
+ * Defaults of nested paths create their missing parent objects; defaults
+ * of `[*]` paths apply to every existing array item.
+ * @param {object} config - Configuration object (modified in place)
+ * @param {object} schemaRules - Schema rules keyed by path
+ */
+function applyDefaults(config, schemaRules) {
+  for (const [ruleKey, rule] of Object.entries(schemaRules)) {
+    const match = ruleKey.match(/^(.*?)\.?([^.[\]]+)$/);
+    const isFlatKey = Object.prototype.hasOwnProperty.call(config, ruleKey);
+    if (rule.default === undefined || !match || isFlatKey) {
+      continue;
+    }
+
+    const [, parentPath, lastKey] = match;
+    let parents = [config];
+    if (/\[/.test(parentPath)) {
+      parents = utils.resolvePath(config, parentPath).map((parent) => parent.value);
+    } else if (parentPath) {
+      let current = config;
+      for (const key of parentPath.split('.')) {
+        if (current[key] === undefined) {
+          current[key] = {};
+        }
+        current = current[key];
+        if (current === null || typeof current !== 'object') {
+          break;
+        }
+      }
+      parents = [current];
+    }
+
+    for (const parent of parents) {
+      const isObject = parent !== null && typeof parent === 'object' && !Array.isArray(parent);
+      if (isObject && parent[lastKey] === undefined) {
+        parent[lastKey] = cloneConfig(rule.default);
+      }
+    }
+  }
+
+  utils.walkConfig(config, (keyPath, key, value) => {
+    const rule = schemaRules[keyPath] || schemaRules[utils.normalizePath(keyPath)];
+    if (rule && (rule.properties || rule.items)) {
+      applyNestedDefaults(value, rule);
+    }
+  });
+}
+
+/**
+ * Remove the values at the given key paths
+ * @param {object} config - Configuration object (modified in place)
+ * @param {string[]} keyPaths - Concrete key paths, e.g. `servers[1].tls`
+ */
+function removePaths(config, keyPaths) {
+  // Remove the last paths first so array indexes stay valid
+  for (const keyPath of [...keyPaths].reverse()) {
+    if (Object.prototype.hasOwnProperty.call(config, keyPath)) {
+      delete config[keyPath];
+      continue;
+    }
+
+    const match = keyPath.match(/^(.*?)\.?([^.[\]]+|\[(\d+)\])$/);
+    const [parent] = match[1] ? utils.resolvePath(config, match[1]) : [{ value: config }];
+    if (!parent) {
+      continue;
+    }
+    if (Array.isArray(parent.value)) {
+      parent.value.splice(Number(match[3]), 1);
+    } else {
+      delete parent.value[match[2]];
+    }
+  }
+}
+
+/**
+ * Set the value at a key path without wildcards, creating missing parent
+ * objects
+ * @param {object} config - Configuration object (modified in place)
+ * @param {string} keyPath - Key path, e.g. `database.url`
+ * @param {any} value - Value to set
+ * @returns {boolean} False if a parent of the path is not an object
+ */
+function setValueAtPath(config, keyPath, value) {
+  const keys = keyPath.split('.');
+  const lastKey = keys.pop();
+  let current = config;
+  for (const key of keys) {
+    if (current[key] === undefined) {
+      current[key] = {};
+    }
+    current = current[key];
+    if (current === null || typeof current !== 'object' || Array.isArray(current)) {
+      return false;
+    }
+  }
+  current[lastKey] = value;
+  return true;
+}
+
+/**
+ * Report the deprecated keys of a configuration and move the values of
+ * renamed keys to their new keys
+ *
+ * Until the schema `version` reaches a rule's `removedIn` version, a
+ * deprecated key is a warning and the value of a renamed key stands in for
+ * the new key, so it satisfies the requirements and rules of the new key.
+ * From that version on, the key is an error and its value is ignored. A
+ * renamed key is also ignored when the new key is set.
+ * @param {object} config - Configuration object (modified in place)
+ * @param {object} schema - Schema definition
+ * @returns {{issues: array, renamed: Map}} Deprecation issues, and the old
+ *   key path of each new key that received a value
+ */
+function migrateDeprecatedKeys(config, schema) {
   const issues = [];
+  const renamed = new Map();
+
+  for (const [ruleKey, rule] of Object.entries(schema.rules || {})) {
+    if (!rule.deprecated && !rule.renamedTo) {
+      continue;
+    }
+
+    const isFlatKey = Object.prototype.hasOwnProperty.call(config, ruleKey);
+    const matches = isFlatKey
+      ? [{ path: ruleKey, value: config[ruleKey] }]
+      : utils.resolvePath(config, ruleKey);
+    const removed =
+      rule.removedIn !== undefined &&
+      schema.version !== undefined &&
+      utils.compareVersions(schema.version, rule.removedIn) >= 0;
+
+    for (const { path: keyPath, value } of matches) {
+      let message = removed
+        ? `Key was removed in version ${rule.removedIn}`
+        : rule.removedIn
+          ? `Key is deprecated and will be removed in version ${rule.removedIn}`
+          : 'Key is deprecated';
+      if (rule.renamedTo) {
+        message += `, use "${rule.renamedTo}" instead`;
+      }
+
+      if (rule.renamedTo && !removed) {
+        const target = rule.renamedTo;
+        if (getValueAtPath(config, target) !== undefined) {
+          message += ` (ignored because "${target}" is set)`;
+          removePaths(config, [keyPath]);
+        } else if (value !== null) {
+          // Flat dotted keys (e.g. from .properties files) are renamed to flat keys
+          if (isFlatKey) {
+            config[target] = value;
+          }
+          if (isFlatKey || setValueAtPath(config, target, value)) {
+            removePaths(config, [keyPath]);
+            renamed.set(target, keyPath);
+          }
+        }
+      }
+      if (typeof rule.deprecated === 'string') {
+        message += `. ${rule.deprecated}`;
+      }
+
+      issues.push({
+        key: keyPath,
+        severity: removed ? 'ERROR' : 'WARNING',
+        message,
+        rule: 'deprecated_key',
+      });
+    }
+  }
+
+  return { issues, renamed };
+}
+
+/**
+ * Check a configuration against a schema, also returning the normalized
+ * configuration the checks ran on
+ * @param {object} config - Configuration object to validate
+ * @param {object} schema - Schema definition (own format or JSON Schema)
+ * @param {object} [options] - Validation options (see validateSchema)
+ * @returns {{issues: array, data: object}}
+ */
+function checkSchema(config, schema, options = {}) {
+  if (jsonSchema.isJsonSchema(schema)) {
+    if (!options.coerce) {
+      return { issues: jsonSchema.validateJsonSchema(config, schema), data: config };
+    }
+    // Values that cannot be converted are reported once, not again by value checks
+    const coerced = jsonSchema.coerceJsonSchema(config, schema);
+    const uncoercible = new Set(coerced.issues.map((issue) => issue.key));
+    const issues = jsonSchema
+      .validateJsonSchema(coerced.data, schema)
+      .filter((issue) => !(issue.rule === 'validation_error' && uncoercible.has(issue.key)));
+    return { issues: [...coerced.issues, ...issues], data: coerced.data };
+  }
+
+  const issues = [];
+
+  const schemaRules = schema.rules || {};
+  const wildcardRules = {};
+  for (const ruleKey of Object.keys(schemaRules)) {
+    wildcardRules[utils.normalizePath(ruleKey)] = schemaRules[ruleKey];
+  }
+
+  // Renamed keys are moved before coercion so their values are converted
+  // to the types of the new keys
+  config = cloneConfig(config);
+  const deprecations = migrateDeprecatedKeys(config, schema);
+  issues.push(...deprecations.issues);
+
+  const uncoercible = new Set();
+  if (options.coerce) {
+    const coerced = coerceConfig(config, schemaRules, wildcardRules);
+    config = coerced.data;
+    for (const issue of coerced.issues) {
+      uncoercible.add(issue.key);
+      issues.push(issue);
+    }
+  }
+
+  applyDefaults(config, schemaRules);
 
   // Check for missing required keys
   if (schema.requiredKeys) {
     for (const key of schema.requiredKeys) {
-      if (!(key in config)) {
+      for (const missingPath of findMissingPaths(config, key)) {
         issues.push({
-          key,
+          key: missingPath,
           severity: 'ERROR',
           message: 'Missing required key',
           rule: 'missing_required_key',
@@ -107,66 +698,297 @@ function validateSchema(config, schema) {
     }
   }
 
-  // Check all keys in config against rules
+  // Check for keys the schema (e.g. an environment overlay) forbids
+  for (const key of schema.forbiddenKeys || []) {
+    const presentPaths = Object.prototype.hasOwnProperty.call(config, key)
+      ? [key]
+      : utils.resolvePath(config, key).map((match) => match.path);
+    for (const presentPath of presentPaths) {
+      issues.push({
+        key: presentPath,
+        severity: 'ERROR',
+        message: 'Key is not allowed by the schema',
+        rule: 'forbidden_key',
+      });
+    }
+  }
+
+  issues.push(...checkKeyDependencies(config, schema));
+
+  // Check all keys in config against rules; keys named by conditional
+  // requirements and exclusive groups are allowed too, and forbidden and
+  // deprecated keys are reported above
   const allAllowedKeys = [
     ...(schema.requiredKeys || []),
     ...(schema.optionalKeys || []),
-  ];
+    ...[...(schema.requiredIf || []), ...(schema.requiredUnless || [])].flatMap(
+      (condition) => condition.keys
+    ),
+    ...(schema.mutuallyExclusive || []).flat(),
+    ...(schema.forbiddenKeys || []),
+    ...Object.keys(schemaRules).filter(
+      (ruleKey) => schemaRules[ruleKey].deprecated || schemaRules[ruleKey].renamedTo
+    ),
+  ].map(utils.normalizePath);
   const hasAllowedList = schema.requiredKeys || schema.optionalKeys;
 
-  for (const key in config) {
-    const value = config[key];
+  // A value's children are only checked against the allowed list when the
+  // schema lists keys below it
+  const hasListedChildren = (pattern) =>
+    pattern === '' ||
+    allAllowedKeys.some((allowed) => utils.isDescendantPath(allowed, pattern));
+
+  const unexpectedPaths = [];
+  utils.walkConfig(config, (keyPath, key, value, parentPath) => {
+    const pattern = utils.normalizePath(keyPath);
 
     // Check for unexpected keys
-    if (hasAllowedList && !allAllowedKeys.includes(key)) {
+    if (
+      hasAllowedList &&
+      !allAllowedKeys.includes(pattern) &&
+      !hasListedChildren(pattern) &&
+      hasListedChildren(utils.normalizePath(parentPath))
+    ) {
       issues.push({
-        key,
+        key: keyPath,
         severity: 'WARNING',
         message: 'Unexpected key not defined in schema',
         rule: 'unexpected_key',
       });
+      unexpectedPaths.push(keyPath);
+      return false;
     }
 
     // Validate against rule if defined
-    if (schema.rules && schema.rules[key]) {
-      const rule = schema.rules[key];
-      const validationErrors = validateValue(value, rule, key);
+    const rule = findRule(schemaRules, wildcardRules, keyPath);
+    if (rule && !uncoercible.has(keyPath)) {
+      issues.push(...collectValueIssues(value, rule, keyPath));
+    }
 
-      for (const error of validationErrors) {
-        issues.push({
-          key,
-          severity: 'ERROR',
-          message: error,
-          rule: 'validation_error',
-        });
+    return true;
+  });
+
+  if (options.stripUnknown) {
+    removePaths(config, unexpectedPaths);
+  }
+
+  // Report the issues of moved values at the keys the values came from
+  for (const issue of issues) {
+    for (const [target, source] of deprecations.renamed) {
+      if (issue.key === target || utils.isDescendantPath(issue.key, target)) {
+        issue.key = source + issue.key.slice(target.length);
       }
     }
   }
 
-  return issues;
+  return { issues, data: config };
+}
+
+/**
+ * Validate a configuration object against a schema
+ *
+ * Nested objects and arrays are walked recursively; issues report the
+ * full key path (e.g. `database.replicas[1].password`). JSON Schema
+ * documents are validated by jsonschema.js.
+ *
+ * With `options.coerce`, string values are first converted to the number,
+ * boolean or array type of their rule (for sources such as .env files where
+ * every value is a string); values that cannot be converted are reported as
+ * `type_coercion` errors instead of type errors. Absent keys whose rule has
+ * a `default` are checked with their default value.
+ * @param {object} config - Configuration object to validate
+ * @param {object} schema - Schema definition (own format or JSON Schema)
+ * @param {object} [options] - Validation options
+ * @param {boolean} [options.coerce] - Coerce string values to their rule types
+ * @returns {array} Array of issue objects
+ */
+function validateSchema(config, schema, options = {}) {
+  return checkSchema(config, schema, options).issues;
+}
+
+/**
+ * Drop the issues of disabled rules and apply configured severities
+ * @param {array} issues - Issue objects
+ * @param {object} ruleSettings - Settings by rule id, with `severity` of
+ *   `off`, `on` (the rule's own severity), `ERROR` or `WARNING`
+ * @returns {array} Issue objects
+ */
+function applyRuleSettings(issues, ruleSettings) {
+  const result = [];
+  for (const issue of issues) {
+    const setting = ruleSettings[issue.rule];
+    if (!setting || setting.severity === 'on') {
+      result.push(issue);
+    } else if (setting.severity !== 'off') {
+      result.push({ ...issue, severity: setting.severity });
+    }
+  }
+  return result;
 }
 
 /**
  * Validate a configuration object with both schema and security rules
  * @param {object} config - Configuration object to validate
  * @param {object} schema - Schema definition
- * @returns {object} Validation result with issues organized by type
+ * @param {object} [options] - Validation options
+ * @param {array} [options.parseIssues] - Issues reported by the parser, included in the result
+ * @param {object} [options.locations] - Map of key path to source location, used to
+ *   add `line`, `column` and `endLine` to issues
+ * @param {object} [options.expanded] - Configuration with variable references resolved;
+ *   schema rules check these values while security rules lint the values as written
+ * @param {boolean} [options.coerce] - Coerce string values to the types of their
+ *   schema rules (see validateSchema)
+ * @param {boolean} [options.stripUnknown] - Leave keys not defined by the schema
+ *   out of the resolved configuration
+ * @param {object} [options.ruleSettings] - Rule settings of the lint configuration
+ *   (see lintrc.resolveRuleSettings): rules set to `off` are dropped, other
+ *   severities replace the rule's own, and security rules receive their options
+ * @param {object[]} [options.customRules] - Rules of rule packs (see plugins.js), run
+ *   on every value like the security rules
+ * @param {object} [options.file] - Validated file as {path, type}, passed to custom rules
+ * @param {string} [options.environment] - Environment whose strictness profile applies
+ *   (see profiles.js); detected from the configuration when not given, and for
+ *   docker-compose and Kubernetes environments from their own variables first
+ * @returns {object} Validation result with issues organized by type, the
+ *   resolved configuration (`config`): variables expanded, values coerced and
+ *   defaults filled in, and the `environment` whose profile applied (or null)
  */
-function validateConfiguration(config, schema) {
-  const issues = [];
+function validateConfiguration(config, schema, options = {}) {
+  const customRules = options.customRules || [];
+  const file = options.file || {};
+  const explicitEnvironment = profiles.normalizeEnvironment(options.environment);
+  const documentEnvironment =
+    explicitEnvironment || profiles.detectEnvironment(options.expanded || config);
+  const settingsFor = (environment) =>
+    lintrc.mergeRuleSettings([
+      profiles.profileRuleSettings(environment),
+      options.ruleSettings || {},
+    ]);
+  const ruleSettings = settingsFor(documentEnvironment);
 
   // Run schema validation
-  const schemaIssues = validateSchema(config, schema);
-  issues.push(...schemaIssues);
+  const checked = checkSchema(options.expanded || config, schema, {
+    coerce: options.coerce,
+    stripUnknown: options.stripUnknown,
+  });
+  const issues = applyRuleSettings(
+    [...(options.parseIssues || []), ...checked.issues],
+    ruleSettings
+  );
+
+  const locations = options.locations || {};
 
-  // Run security rules on each config item
-  for (const key in config) {
-    const value = config[key];
-    const securityIssues = rules.applySecurityRules(key, value, config);
-    issues.push(...securityIssues);
+  // Run security rules on the environment of each docker-compose service or
+  // Kubernetes container, reporting the variable name and where it belongs
+  const manifestPaths = new Set();
+  for (const group of manifest.extractEnvironments(config)) {
+    const environment = {};
+    for (const variable of group.variables) {
+      environment[variable.key] = variable.value;
+    }
+    const groupEnvironment =
+      explicitEnvironment || profiles.detectEnvironment(environment) || documentEnvironment;
+    const groupSettings = settingsFor(groupEnvironment);
+
+    for (const variable of group.variables) {
+      manifestPaths.add(variable.path);
+      if (variable.value === null) {
+        continue;
+      }
+      const variableIssues = [
+        ...rules.applySecurityRules(
+          variable.key,
+          variable.value,
+          environment,
+          groupSettings,
+          groupEnvironment
+        ),
+        ...plugins.applyCustomRules(
+          customRules,
+          {
+            key: variable.key,
+            path: variable.key,
+            value: variable.value,
+            config,
+            file,
+            service: group.service,
+            container: group.container,
+          },
+          groupSettings
+        ),
+      ];
+      for (const issue of applyRuleSettings(variableIssues, groupSettings)) {
+        const located = withLocation(issue, locations, variable.path);
+        issues.push({ ...located, service: group.service, container: group.container });
+      }
+    }
   }
 
-  // Organize issues by severity
+  // Run security rules on every other leaf value, reporting its full path
+  const valueIssues = [];
+  utils.walkConfig(config, (keyPath, key, value) => {
+    if (manifestPaths.has(keyPath)) {
+      return false;
+    }
+    if (utils.isContainer(value)) {
+      return;
+    }
+    const valueRules = rules.applySecurityRules(
+      key,
+      value,
+      config,
+      ruleSettings,
+      documentEnvironment
+    );
+    for (const issue of valueRules) {
+      valueIssues.push({ ...issue, key: keyPath });
+    }
+    valueIssues.push(
+      ...plugins.applyCustomRules(
+        customRules,
+        { key, path: keyPath, value, config, file },
+        ruleSettings
+      )
+    );
+  });
+  issues.push(...applyRuleSettings(valueIssues, ruleSettings));
+
+  return {
+    ...buildResult(issues.map((issue) => withLocation(issue, locations))),
+    config: checked.data,
+    environment: documentEnvironment,
+  };
+}
+
+/**
+ * Add the source location of an issue's key to the issue
+ * @param {object} issue - Issue object
+ * @param {object} locations - Map of key path to source location
+ * @param {string} [keyPath] - Path to locate, if not the issue's key
+ * @returns {object} Issue with line, column and endLine when the key has a location
+ */
+function withLocation(issue, locations, keyPath = issue.key) {
+  const location = Object.prototype.hasOwnProperty.call(locations, keyPath)
+    ? locations[keyPath]
+    : undefined;
+  if (issue.line !== undefined || !location) {
+    return issue;
+  }
+
+  return {
+    ...issue,
+    line: location.line,
+    column: location.column,
+    endLine: location.endLine,
+  };
+}
+
+/**
+ * Build a validation result from a list of issues
+ * @param {array} issues - Issue objects
+ * @returns {object} Validation result with issues organized by type
+ */
+function buildResult(issues) {
   const errors = issues.filter((issue) => issue.severity === 'ERROR');
   const warnings = issues.filter((issue) => issue.severity === 'WARNING');
 
@@ -183,8 +1005,67 @@ function validateConfiguration(config, schema) {
   };
 }
 
+/**
+ * Combine the validation results of the documents of a multi-document file
+ * @param {array} results - Validation results in document order
+ * @returns {object} Single validation result; issues carry a 1-based `document`
+ *   index, `config` and `environments` list the resolved configuration and
+ *   environment of each document, and `environment` is the environment they
+ *   share (null if they differ)
+ */
+function mergeDocumentResults(results) {
+  if (results.length === 1) {
+    return results[0];
+  }
+
+  const issues = [];
+  results.forEach((result, index) => {
+    for (const issue of result.issues) {
+      issues.push({ ...issue, document: index + 1 });
+    }
+  });
+
+  const environments = results.map((result) => result.environment || null);
+  return {
+    ...buildResult(issues),
+    config: results.map((result) => result.config),
+    environment: environments.every((environment) => environment === environments[0])
+      ? environments[0]
+      : null,
+    environments,
+  };
+}
+
+/**
+ * Apply the suppression comments of a file to its validation result
+ *
+ * Run this on the merged result of all documents of a file, so suppressions
+ * that matched no issue in any document are reported once.
+ * @param {object} result - Validation result (see validateConfiguration)
+ * @param {array} suppressions - Suppressions from the parser
+ * @param {object} [options] - Options
+ * @param {object} [options.ruleSettings] - Rule settings of the lint configuration,
+ *   applied to the warnings about suppressions
+ * @param {object[]} [options.customRules] - Rules of rule packs, which suppressions
+ *   can name too
+ * @returns {object} Validation result without suppressed issues
+ */
+function applySuppressions(result, suppressions, options = {}) {
+  if (suppressions.length === 0) {
+    return result;
+  }
+  const ruleIds = [
+    ...lintrc.RULE_IDS,
+    ...(options.customRules || []).map((rule) => rule.id),
+  ];
+  const issues = suppress.applySuppressions(result.issues, suppressions, ruleIds);
+  return { ...result, ...buildResult(applyRuleSettings(issues, options.ruleSettings || {})) };
+}
+
 module.exports = {
   validateValue,
   validateSchema,
   validateConfiguration,
+  mergeDocumentResults,
+  applySuppressions,
 };
@@ -0,0 +1,1081 @@
+/**
+ * YAML parser for configuration files
+ *
+ * Supports the subset of YAML 1.2 used by configuration files:
+ * block and flow collections, plain/quoted/block scalars, comments,
+ * anchors and aliases (including `<<` merge keys), explicit tags and
+ * multi-document streams.
+ */
+
+const utils = require('./utils');
+
+const NULL_PATTERN = /^(?:~|null|Null|NULL)?$/;
+const TRUE_PATTERN = /^(?:true|True|TRUE)$/;
+const FALSE_PATTERN = /^(?:false|False|FALSE)$/;
+const INT_PATTERN = /^[-+]?[0-9]+$/;
+const OCT_PATTERN = /^0o[0-7]+$/;
+const HEX_PATTERN = /^0x[0-9a-fA-F]+$/;
+const FLOAT_PATTERN = /^[-+]?(?:\.[0-9]+|[0-9]+(?:\.[0-9]*)?)(?:[eE][-+]?[0-9]+)?$/;
+const INF_PATTERN = /^[-+]?\.(?:inf|Inf|INF)$/;
+const NAN_PATTERN = /^\.(?:nan|NaN|NAN)$/;
+
+const CORE_TAG_PREFIX = 'tag:yaml.org,2002:';
+
+const ESCAPES = {
+  0: '\0',
+  a: '\x07',
+  b: '\b',
+  t: '\t',
+  '\t': '\t',
+  n: '\n',
+  v: '\v',
+  f: '\f',
+  r: '\r',
+  e: '\x1b',
+  ' ': ' ',
+  '"': '"',
+  '/': '/',
+  '\\': '\\',
+  N: '\x85',
+  _: '\xa0',
+  L: ' ',
+  P: ' ',
+};
+
+const HEX_ESCAPE_LENGTHS = { x: 2, u: 4, U: 8 };
+
+/**
+ * Resolve an untagged plain scalar using the YAML 1.2 core schema
+ * @param {string} text - Scalar text
+ * @returns {any}
+ */
+function resolvePlainScalar(text) {
+  if (NULL_PATTERN.test(text)) return null;
+  if (TRUE_PATTERN.test(text)) return true;
+  if (FALSE_PATTERN.test(text)) return false;
+  if (INT_PATTERN.test(text)) return parseInt(text, 10);
+  if (OCT_PATTERN.test(text)) return parseInt(text.slice(2), 8);
+  if (HEX_PATTERN.test(text)) return parseInt(text.slice(2), 16);
+  if (FLOAT_PATTERN.test(text)) return parseFloat(text);
+  if (INF_PATTERN.test(text)) {
+    return text.startsWith('-') ? -Infinity : Infinity;
+  }
+  if (NAN_PATTERN.test(text)) return NaN;
+  return text;
+}
+
+/**
+ * Character-level YAML parser. One instance parses one stream.
+ */
+class YamlParser {
+  constructor(content) {
+    this.src = content.replace(/\r\n?/g, '\n');
+    if (this.src.charCodeAt(0) === 0xfeff) {
+      this.src = this.src.slice(1);
+    }
+    this.pos = 0;
+    this.line = 1;
+    this.lineStart = 0;
+    this.anchors = {};
+    // Source location of each entry, keyed by the containing mapping/sequence
+    this.entryLocations = new Map();
+    // Comments by source position; lookahead may skip the same comment twice
+    this.comments = new Map();
+  }
+
+  // ---- Position helpers ----
+
+  get column() {
+    return this.pos - this.lineStart;
+  }
+
+  peek(offset = 0) {
+    return this.src[this.pos + offset];
+  }
+
+  isEnd() {
+    return this.pos >= this.src.length;
+  }
+
+  error(message, line = this.line, column = this.column + 1) {
+    return utils.createParseError(message, line, column);
+  }
+
+  advance(count = 1) {
+    for (let i = 0; i < count && this.pos < this.src.length; i++) {
+      if (this.src[this.pos] === '\n') {
+        this.line++;
+        this.lineStart = this.pos + 1;
+      }
+      this.pos++;
+    }
+  }
+
+  isWhiteAt(offset = 0) {
+    const ch = this.peek(offset);
+    return ch === ' ' || ch === '\t';
+  }
+
+  isBreakOrEndAt(offset = 0) {
+    const ch = this.peek(offset);
+    return ch === undefined || ch === '\n';
+  }
+
+  isBlankOrEndAt(offset = 0) {
+    return this.isWhiteAt(offset) || this.isBreakOrEndAt(offset);
+  }
+
+  skipSpaces() {
+    while (this.isWhiteAt()) this.pos++;
+  }
+
+  /**
+   * Skip spaces and a trailing comment, stopping before the line break
+   */
+  skipToLineEnd() {
+    this.skipSpaces();
+    if (this.peek() === '#') {
+      const start = this.pos;
+      const column = this.column + 1;
+      while (!this.isBreakOrEndAt()) this.pos++;
+      const text = this.src.slice(start, this.pos);
+      this.comments.set(start, { text, line: this.line, column });
+    }
+  }
+
+  /**
+   * Take the comments skipped since the last call, in source order
+   * @returns {array} Comments as {text, line, column}
+   */
+  takeComments() {
+    const comments = [...this.comments.entries()]
+      .sort(([a], [b]) => a - b)
+      .map(([, comment]) => comment);
+    this.comments.clear();
+    return comments;
+  }
+
+  /**
+   * Skip whitespace, comments and line breaks until the next content
+   * @returns {boolean} True if at least one line break was crossed
+   */
+  skipToContent() {
+    let crossedLine = false;
+    for (;;) {
+      this.skipToLineEnd();
+      if (this.peek() !== '\n') break;
+      this.advance();
+      crossedLine = true;
+    }
+    return crossedLine;
+  }
+
+  /**
+   * Position of the next content without moving the cursor
+   * @returns {{line: number, column: number}}
+   */
+  peekContentPosition() {
+    const save = { pos: this.pos, line: this.line, lineStart: this.lineStart };
+    this.skipToContent();
+    const position = { line: this.line, column: this.column + 1 };
+    this.restore(save);
+    return position;
+  }
+
+  /**
+   * Build the location of an entry that ends at the cursor
+   */
+  entryLocation(line, column, valueStart) {
+    return {
+      line,
+      column,
+      endLine: this.line,
+      endColumn: this.column + 1,
+      valueLine: valueStart.line,
+      valueColumn: valueStart.column,
+    };
+  }
+
+  recordLocation(container, key, location) {
+    if (!this.entryLocations.has(container)) {
+      this.entryLocations.set(container, Object.create(null));
+    }
+    this.entryLocations.get(container)[key] = location;
+  }
+
+  /**
+   * Flatten recorded entry locations of a document into a path map
+   * @param {any} value - Parsed node
+   * @param {string} path - Path of the node
+   * @param {object} locations - Target map of path to location
+   * @returns {object}
+   */
+  collectLocations(value, path, locations) {
+    const entries = this.entryLocations.get(value);
+    if (entries) {
+      for (const key of Object.keys(entries)) {
+        const childKey = Array.isArray(value) ? Number(key) : key;
+        const childPath = utils.joinPath(path, childKey);
+        locations[childPath] = entries[key];
+        this.collectLocations(value[childKey], childPath, locations);
+      }
+    }
+    return locations;
+  }
+
+  /**
+   * Whether the cursor is at a `---` or `...` document marker
+   * @returns {boolean}
+   */
+  atDocumentMarker() {
+    if (this.column !== 0) return false;
+    const marker = this.src.substr(this.pos, 3);
+    return (marker === '---' || marker === '...') && this.isBlankOrEndAt(3);
+  }
+
+  // ---- Stream and documents ----
+
+  parseStream() {
+    const documents = [];
+
+    for (;;) {
+      this.skipToContent();
+      let explicitStart = false;
+
+      while (this.column === 0 && this.peek() === '%') {
+        while (!this.isBreakOrEndAt()) this.pos++;
+        this.skipToContent();
+      }
+
+      if (this.atDocumentMarker() && this.src.startsWith('---', this.pos)) {
+        this.advance(3);
+        explicitStart = true;
+      }
+
+      if (this.isEnd() && !explicitStart) break;
+
+      this.anchors = {};
+      const document = this.parseBlockNode(-1, 'document');
+      documents.push({
+        data: document,
+        locations: this.collectLocations(document, '', Object.create(null)),
+        comments: this.takeComments(),
+      });
+
+      this.skipToContent();
+      if (this.isEnd()) break;
+
+      if (this.atDocumentMarker()) {
+        if (this.src.startsWith('...', this.pos)) {
+          this.advance(3);
+        }
+        continue;
+      }
+
+      throw this.error('Unexpected content after document end');
+    }
+
+    // Comments after the last document belong to it
+    if (documents.length > 0) {
+      documents[documents.length - 1].comments.push(...this.takeComments());
+    }
+    return documents;
+  }
+
+  // ---- Block nodes ----
+
+  /**
+   * Parse a block node
+   * @param {number} parentIndent - Indentation of the owning collection
+   * @param {string} context - 'document', 'mapping' (after `key:`) or 'sequence' (after `-`)
+   * @returns {any}
+   */
+  parseBlockNode(parentIndent, context) {
+    let sameLine = !this.skipToContent();
+    if (context === 'document') sameLine = false;
+
+    const props = this.parseProperties();
+    if (props.tag !== null || props.anchor !== null) {
+      this.skipToLineEnd();
+      if (this.isBreakOrEndAt()) {
+        sameLine = false;
+        this.skipToContent();
+      }
+    }
+
+    let value;
+    const indent = this.column;
+    const canStartCollection = !sameLine || context !== 'mapping';
+    const isSequenceEntry = this.peek() === '-' && this.isBlankOrEndAt(1);
+
+    if (this.isEnd() || this.atDocumentMarker()) {
+      value = null;
+    } else if (
+      !sameLine &&
+      indent <= parentIndent &&
+      !(context === 'mapping' && indent === parentIndent && isSequenceEntry)
+    ) {
+      value = null;
+    } else if (isSequenceEntry) {
+      if (!canStartCollection) {
+        throw this.error('Block sequence entries are not allowed here');
+      }
+      value = this.parseBlockSequence(indent);
+    } else {
+      value = this.parseBlockContent(
+        parentIndent,
+        indent,
+        canStartCollection,
+        props.tag === null
+      );
+    }
+
+    return this.finishNode(value, props);
+  }
+
+  /**
+   * Parse a block node that is not a sequence
+   * @param {number} parentIndent - Indentation of the owning collection
+   * @param {number} indent - Column of the node
+   * @param {boolean} allowMapping - Whether a block mapping may start here
+   * @param {boolean} resolve - Whether plain scalars are resolved to typed values
+   * @returns {any}
+   */
+  parseBlockContent(parentIndent, indent, allowMapping, resolve) {
+    const ch = this.peek();
+    const startLine = this.line;
+    const startColumn = this.column + 1;
+
+    if (ch === '|' || ch === '>') {
+      return this.parseBlockScalar(parentIndent);
+    }
+
+    if (ch === '?' && this.isBlankOrEndAt(1)) {
+      throw this.error('Complex mapping keys are not supported');
+    }
+
+    let key;
+    let keyIsPlain = false;
+    if (ch === '*') {
+      key = this.parseAlias();
+    } else if (ch === '[' || ch === '{') {
+      key = this.parseFlowCollection();
+    } else if (ch === '"' || ch === "'") {
+      key = this.parseQuotedScalar();
+    } else {
+      key = this.readPlainLine(false);
+      keyIsPlain = true;
+    }
+
+    const afterKey = this.pos;
+    this.skipSpaces();
+    if (this.peek() === ':' && this.isBlankOrEndAt(1)) {
+      if (!allowMapping) {
+        throw this.error('Mapping values are not allowed here');
+      }
+      const firstKey = keyIsPlain ? key : this.toKey(key, startLine, startColumn);
+      return this.parseBlockMapping(indent, firstKey, startLine, startColumn);
+    }
+    this.pos = afterKey;
+
+    if (keyIsPlain) {
+      const text = this.continuePlainScalar(key, parentIndent);
+      return resolve ? resolvePlainScalar(text) : text;
+    }
+    return key;
+  }
+
+  /**
+   * Convert a parsed key node into a mapping key string
+   */
+  toKey(value, line, column) {
+    if (value !== null && typeof value === 'object') {
+      throw utils.createParseError('Collection keys are not supported', line, column);
+    }
+    return String(value);
+  }
+
+  /**
+   * Parse the remaining entries of a block mapping
+   * @param {number} indent - Column of the mapping keys
+   * @param {string} firstKey - Already parsed first key
+   * @returns {object}
+   */
+  parseBlockMapping(indent, firstKey, firstLine, firstColumn) {
+    const mapping = {};
+    const explicitKeys = new Set();
+    let key = firstKey;
+    let keyLine = firstLine;
+    let keyColumn = firstColumn;
+
+    for (;;) {
+      // Cursor is at the ':' following the key
+      this.advance();
+      const valueStart = this.peekContentPosition();
+      const value = this.parseBlockNode(indent, 'mapping');
+      const location = this.entryLocation(keyLine, keyColumn, valueStart);
+      this.assignEntry(mapping, explicitKeys, key, value, location);
+
+      // Leave the cursor right after the last entry when the mapping ends
+      const end = { pos: this.pos, line: this.line, lineStart: this.lineStart };
+      this.skipToContent();
+      if (this.isEnd() || this.atDocumentMarker() || this.column < indent) {
+        this.restore(end);
+        break;
+      }
+      if (this.column > indent) {
+        throw this.error('Bad indentation of a mapping entry');
+      }
+
+      keyLine = this.line;
+      keyColumn = this.column + 1;
+      key = this.parseBlockKey();
+      this.skipSpaces();
+      if (this.peek() !== ':' || !this.isBlankOrEndAt(1)) {
+        throw this.error('Expected ":" after mapping key', keyLine, keyColumn);
+      }
+    }
+
+    return mapping;
+  }
+
+  /**
+   * Parse an implicit key inside a block mapping
+   * @returns {string}
+   */
+  parseBlockKey() {
+    const ch = this.peek();
+    const line = this.line;
+    const column = this.column + 1;
+    if (ch === '"' || ch === "'") {
+      return this.toKey(this.parseQuotedScalar(), line, column);
+    }
+    if (ch === '*') {
+      return this.toKey(this.parseAlias(), line, column);
+    }
+    if (ch === '-' && this.isBlankOrEndAt(1)) {
+      throw this.error('Unexpected sequence entry inside a mapping');
+    }
+    if (ch === '?' && this.isBlankOrEndAt(1)) {
+      throw this.error('Complex mapping keys are not supported');
+    }
+    return this.readPlainLine(false);
+  }
+
+  /**
+   * Add a key/value pair to a mapping, handling `<<` merge keys. Merged
+   * keys are located at the `<<` entry.
+   */
+  assignEntry(mapping, explicitKeys, key, value, location) {
+    if (key === '<<') {
+      const sources = Array.isArray(value) ? value : [value];
+      for (const source of sources) {
+        if (source === null || typeof source !== 'object' || Array.isArray(source)) {
+          throw utils.createParseError(
+            'Merge key value must be a mapping',
+            location.line,
+            location.column
+          );
+        }
+        for (const mergedKey of Object.keys(source)) {
+          if (!explicitKeys.has(mergedKey)) {
+            utils.defineEntry(mapping, mergedKey, source[mergedKey]);
+            this.recordLocation(mapping, mergedKey, location);
+          }
+        }
+      }
+      return;
+    }
+
+    if (explicitKeys.has(key)) {
+      throw utils.createParseError(
+        `Duplicate mapping key "${key}"`,
+        location.line,
+        location.column
+      );
+    }
+    explicitKeys.add(key);
+    utils.defineEntry(mapping, key, value);
+    this.recordLocation(mapping, key, location);
+  }
+
+  /**
+   * Parse a block sequence whose entries start at the given column
+   * @param {number} indent - Column of the `-` indicators
+   * @returns {array}
+   */
+  parseBlockSequence(indent) {
+    const sequence = [];
+
+    for (;;) {
+      // Cursor is at the '-' indicator
+      this.advance();
+      const itemStart = this.peekContentPosition();
+      sequence.push(this.parseBlockNode(indent, 'sequence'));
+      this.recordLocation(
+        sequence,
+        sequence.length - 1,
+        this.entryLocation(itemStart.line, itemStart.column, itemStart)
+      );
+
+      const end = { pos: this.pos, line: this.line, lineStart: this.lineStart };
+      this.skipToContent();
+      if (
+        this.isEnd() ||
+        this.atDocumentMarker() ||
+        this.column < indent ||
+        this.peek() !== '-' ||
+        !this.isBlankOrEndAt(1)
+      ) {
+        if (this.column > indent && !this.isEnd()) {
+          throw this.error('Bad indentation of a sequence entry');
+        }
+        this.restore(end);
+        break;
+      }
+      if (this.column > indent) {
+        throw this.error('Bad indentation of a sequence entry');
+      }
+    }
+
+    return sequence;
+  }
+
+  // ---- Node properties ----
+
+  /**
+   * Parse an optional tag and anchor (in either order)
+   * @returns {{tag: string|null, anchor: string|null, line: number, column: number}}
+   */
+  parseProperties() {
+    const props = {
+      tag: null,
+      anchor: null,
+      line: this.line,
+      column: this.column + 1,
+    };
+
+    for (;;) {
+      const ch = this.peek();
+      if (ch === '!' && props.tag === null) {
+        props.tag = this.readTag();
+      } else if (ch === '&' && props.anchor === null) {
+        this.pos++;
+        props.anchor = this.readAnchorName();
+      } else {
+        break;
+      }
+      this.skipSpaces();
+    }
+
+    return props;
+  }
+
+  readTag() {
+    const start = this.pos;
+    if (this.peek(1) === '<') {
+      const end = this.src.indexOf('>', this.pos);
+      if (end === -1 || this.src.slice(this.pos, end).includes('\n')) {
+        throw this.error('Unterminated verbatim tag');
+      }
+      this.pos = end + 1;
+      return this.src.slice(start + 2, end);
+    }
+    while (!this.isBlankOrEndAt() && !',[]{}'.includes(this.peek())) {
+      this.pos++;
+    }
+    const tag = this.src.slice(start, this.pos);
+    if (tag.startsWith('!!')) {
+      return CORE_TAG_PREFIX + tag.slice(2);
+    }
+    return tag;
+  }
+
+  readAnchorName() {
+    const start = this.pos;
+    while (!this.isBlankOrEndAt() && !',[]{}'.includes(this.peek())) {
+      this.pos++;
+    }
+    if (this.pos === start) {
+      throw this.error('Anchor or alias name cannot be empty');
+    }
+    return this.src.slice(start, this.pos);
+  }
+
+  parseAlias() {
+    const line = this.line;
+    const column = this.column + 1;
+    this.pos++;
+    const name = this.readAnchorName();
+    if (!Object.prototype.hasOwnProperty.call(this.anchors, name)) {
+      throw utils.createParseError(`Unknown alias "*${name}"`, line, column);
+    }
+    return this.anchors[name];
+  }
+
+  /**
+   * Apply the tag and register the anchor of a parsed node
+   */
+  finishNode(value, props) {
+    let result = value;
+    if (props.tag !== null) {
+      result = this.applyTag(result, props);
+    }
+    if (props.anchor !== null) {
+      this.anchors[props.anchor] = result;
+    }
+    return result;
+  }
+
+  /**
+   * Convert a node according to its explicit tag. Unknown (application
+   * specific) tags leave the value unchanged.
+   */
+  applyTag(value, props) {
+    const fail = (expected) =>
+      utils.createParseError(
+        `Cannot resolve value as ${expected}`,
+        props.line,
+        props.column
+      );
+    const raw = value === null ? '' : value;
+
+    switch (props.tag) {
+      case `${CORE_TAG_PREFIX}str`:
+      case '!':
+        if (typeof raw === 'object') throw fail('!!str');
+        return String(raw);
+      case `${CORE_TAG_PREFIX}int`: {
+        const resolved = resolvePlainScalar(String(raw));
+        if (!Number.isInteger(resolved)) throw fail('!!int');
+        return resolved;
+      }
+      case `${CORE_TAG_PREFIX}float`: {
+        const resolved = typeof raw === 'number' ? raw : resolvePlainScalar(String(raw));
+        if (typeof resolved !== 'number') throw fail('!!float');
+        return resolved;
+      }
+      case `${CORE_TAG_PREFIX}bool`: {
+        const resolved = typeof raw === 'boolean' ? raw : resolvePlainScalar(String(raw));
+        if (typeof resolved !== 'boolean') throw fail('!!bool');
+        return resolved;
+      }
+      case `${CORE_TAG_PREFIX}null`:
+        if (value !== null && !NULL_PATTERN.test(String(value))) throw fail('!!null');
+        return null;
+      case `${CORE_TAG_PREFIX}map`:
+        if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+          throw fail('!!map');
+        }
+        return value;
+      case `${CORE_TAG_PREFIX}seq`:
+        if (!Array.isArray(value)) throw fail('!!seq');
+        return value;
+      case `${CORE_TAG_PREFIX}binary`:
+        if (typeof raw !== 'string') throw fail('!!binary');
+        return raw.replace(/\s+/g, '');
+      default:
+        return value;
+    }
+  }
+
+  // ---- Scalars ----
+
+  /**
+   * Read a plain scalar up to the end of the current line
+   * @param {boolean} inFlow - Whether flow indicators terminate the scalar
+   * @returns {string} Raw scalar text
+   */
+  readPlainLine(inFlow) {
+    const start = this.pos;
+    let end = this.pos;
+
+    while (!this.isBreakOrEndAt()) {
+      const ch = this.peek();
+      if (ch === ':' && (this.isBlankOrEndAt(1) || (inFlow && ',[]{}'.includes(this.peek(1))))) {
+        break;
+      }
+      if (ch === '#' && this.pos > start && this.isWhiteAt(-1)) {
+        break;
+      }
+      if (inFlow && ',[]{}'.includes(ch)) {
+        break;
+      }
+      this.pos++;
+      if (!this.isWhiteAt(-1)) end = this.pos;
+    }
+
+    const text = this.src.slice(start, end);
+    this.pos = end;
+    return text;
+  }
+
+  /**
+   * Continue a plain scalar over following, more indented lines
+   * @param {string} firstLine - Text of the first line
+   * @param {number} parentIndent - Lines must be indented deeper than this
+   * @returns {string} Folded scalar text
+   */
+  continuePlainScalar(firstLine, parentIndent) {
+    let text = firstLine;
+
+    for (;;) {
+      const save = { pos: this.pos, line: this.line, lineStart: this.lineStart };
+      this.skipSpaces();
+      if (!this.isBreakOrEndAt()) {
+        this.restore(save);
+        break;
+      }
+
+      let breaks = 0;
+      while (this.peek() === '\n') {
+        this.advance();
+        breaks++;
+        this.skipSpaces();
+      }
+
+      if (
+        this.isEnd() ||
+        this.peek() === '#' ||
+        this.column <= parentIndent ||
+        this.atDocumentMarker()
+      ) {
+        this.restore(save);
+        break;
+      }
+
+      const lineText = this.readPlainLine(false);
+      this.skipSpaces();
+      if (this.peek() === ':' && this.isBlankOrEndAt(1)) {
+        throw this.error('Mapping values are not allowed in a multi-line scalar');
+      }
+      text += breaks > 1 ? '\n'.repeat(breaks - 1) : ' ';
+      text += lineText;
+    }
+
+    return text;
+  }
+
+  restore(save) {
+    this.pos = save.pos;
+    this.line = save.line;
+    this.lineStart = save.lineStart;
+  }
+
+  /**
+   * Parse a single- or double-quoted scalar (may span lines)
+   * @returns {string}
+   */
+  parseQuotedScalar() {
+    const quote = this.peek();
+    const startLine = this.line;
+    const startColumn = this.column + 1;
+    let result = '';
+    this.pos++;
+
+    for (;;) {
+      if (this.isEnd()) {
+        throw utils.createParseError('Unterminated quoted string', startLine, startColumn);
+      }
+      const ch = this.peek();
+
+      if (ch === quote) {
+        if (quote === "'" && this.peek(1) === "'") {
+          result += "'";
+          this.pos += 2;
+          continue;
+        }
+        this.pos++;
+        return result;
+      }
+
+      if (ch === '\\' && quote === '"') {
+        const next = this.peek(1);
+        if (next === '\n') {
+          this.advance(2);
+          this.skipSpaces();
+          continue;
+        }
+        if (Object.prototype.hasOwnProperty.call(ESCAPES, next)) {
+          result += ESCAPES[next];
+          this.pos += 2;
+          continue;
+        }
+        if (HEX_ESCAPE_LENGTHS[next]) {
+          const length = HEX_ESCAPE_LENGTHS[next];
+          const hex = this.src.substr(this.pos + 2, length);
+          if (!new RegExp(`^[0-9a-fA-F]{${length}}$`).test(hex)) {
+            throw this.error('Invalid escape sequence');
+          }
+          result += String.fromCodePoint(parseInt(hex, 16));
+          this.pos += 2 + length;
+          continue;
+        }
+        throw this.error(`Unknown escape sequence "\\${next}"`);
+      }
+
+      if (ch === '\n') {
+        // Line folding: trailing/leading whitespace is dropped, a single
+        // break becomes a space and further breaks are kept
+        result = result.replace(/[ \t]+$/, '');
+        let breaks = 0;
+        while (this.peek() === '\n') {
+          this.advance();
+          breaks++;
+          this.skipSpaces();
+        }
+        if (this.atDocumentMarker()) {
+          throw this.error('Unexpected document marker inside a quoted string');
+        }
+        result += breaks > 1 ? '\n'.repeat(breaks - 1) : ' ';
+        continue;
+      }
+
+      result += ch;
+      this.pos++;
+    }
+  }
+
+  /**
+   * Parse a literal (`|`) or folded (`>`) block scalar
+   * @param {number} parentIndent - Indentation of the owning collection
+   * @returns {string}
+   */
+  parseBlockScalar(parentIndent) {
+    const folded = this.peek() === '>';
+    let chomping = 'clip';
+    let explicitIndent = 0;
+    this.pos++;
+
+    for (let i = 0; i < 2; i++) {
+      const ch = this.peek();
+      if (ch === '+' || ch === '-') {
+        chomping = ch === '+' ? 'keep' : 'strip';
+        this.pos++;
+      } else if (ch >= '1' && ch <= '9') {
+        explicitIndent = Number(ch);
+        this.pos++;
+      }
+    }
+
+    this.skipToLineEnd();
+    if (!this.isBreakOrEndAt()) {
+      throw this.error('Unexpected characters after block scalar header');
+    }
+
+    const baseIndent = Math.max(parentIndent, 0);
+    let contentIndent = explicitIndent ? baseIndent + explicitIndent : 0;
+    const lines = [];
+
+    while (this.peek() === '\n') {
+      const save = { pos: this.pos, line: this.line, lineStart: this.lineStart };
+      this.advance();
+
+      let indent = 0;
+      while (this.peek(indent) === ' ') indent++;
+      const rest = this.pos + indent;
+      const isEmptyLine = this.src[rest] === '\n' || rest >= this.src.length;
+
+      if (!contentIndent && !isEmptyLine) {
+        if (indent <= parentIndent) {
+          this.restore(save);
+          break;
+        }
+        contentIndent = indent;
+      }
+
+      if (isEmptyLine) {
+        if (this.isEnd()) {
+          this.restore(save);
+          break;
+        }
+        lines.push('');
+        this.pos = rest;
+        continue;
+      }
+
+      if (indent < contentIndent || this.atDocumentMarker()) {
+        this.restore(save);
+        break;
+      }
+
+      const lineEnd = this.src.indexOf('\n', this.pos);
+      const end = lineEnd === -1 ? this.src.length : lineEnd;
+      lines.push(this.src.slice(this.pos + contentIndent, end));
+      this.pos = end;
+    }
+
+    let trailing = 0;
+    while (lines.length > 0 && lines[lines.length - 1].trim() === '') {
+      lines.pop();
+      trailing++;
+    }
+
+    const body = folded ? this.foldLines(lines) : lines.join('\n');
+    if (chomping === 'strip') return body;
+    if (chomping === 'keep') return body + '\n'.repeat(trailing + (lines.length ? 1 : 0));
+    return lines.length ? `${body}\n` : '';
+  }
+
+  /**
+   * Apply folded block scalar line folding
+   * @param {string[]} lines - Content lines with indentation removed
+   * @returns {string}
+   */
+  foldLines(lines) {
+    let result = '';
+    let empty = 0;
+    let first = true;
+    let previousMoreIndented = false;
+
+    for (const line of lines) {
+      if (line === '') {
+        empty++;
+        continue;
+      }
+      const moreIndented = line[0] === ' ' || line[0] === '\t';
+      if (first) {
+        result += '\n'.repeat(empty);
+      } else if (moreIndented || previousMoreIndented) {
+        result += '\n'.repeat(empty + 1);
+      } else {
+        result += empty > 0 ? '\n'.repeat(empty) : ' ';
+      }
+      result += line;
+      previousMoreIndented = moreIndented;
+      empty = 0;
+      first = false;
+    }
+
+    return result;
+  }
+
+  // ---- Flow collections ----
+
+  /**
+   * Skip whitespace, comments and line breaks inside a flow collection
+   */
+  skipFlowSpace() {
+    this.skipToContent();
+    if (this.isEnd()) {
+      throw this.error('Unterminated flow collection');
+    }
+  }
+
+  parseFlowCollection() {
+    const isMapping = this.peek() === '{';
+    const closing = isMapping ? '}' : ']';
+    const result = isMapping ? {} : [];
+    const explicitKeys = new Set();
+    this.pos++;
+
+    for (;;) {
+      this.skipFlowSpace();
+      if (this.peek() === closing) {
+        this.pos++;
+        return result;
+      }
+
+      const line = this.line;
+      const column = this.column + 1;
+      const start = { line, column };
+      const first = this.parseFlowNode();
+      this.skipFlowSpace();
+
+      if (this.peek() === ':') {
+        this.pos++;
+        const key = this.toKey(first, line, column);
+        this.skipFlowSpace();
+        const valueStart = { line: this.line, column: this.column + 1 };
+        const value = ',}]'.includes(this.peek()) ? null : this.parseFlowNode();
+        const location = this.entryLocation(line, column, valueStart);
+        if (isMapping) {
+          this.assignEntry(result, explicitKeys, key, value, location);
+        } else {
+          const pair = {};
+          this.assignEntry(pair, new Set(), key, value, location);
+          result.push(pair);
+          this.recordLocation(result, result.length - 1, location);
+        }
+        this.skipFlowSpace();
+      } else if (isMapping) {
+        const location = this.entryLocation(line, column, start);
+        this.assignEntry(result, explicitKeys, this.toKey(first, line, column), null, location);
+      } else {
+        result.push(first);
+        this.recordLocation(result, result.length - 1, this.entryLocation(line, column, start));
+      }
+
+      if (this.peek() === ',') {
+        this.pos++;
+      } else if (this.peek() !== closing) {
+        throw this.error(`Expected "," or "${closing}" in flow collection`);
+      }
+    }
+  }
+
+  parseFlowNode() {
+    const props = this.parseProperties();
+    if (props.tag !== null || props.anchor !== null) {
+      this.skipFlowSpace();
+    }
+
+    const ch = this.peek();
+    let value;
+    if (ch === '[' || ch === '{') {
+      value = this.parseFlowCollection();
+    } else if (ch === '"' || ch === "'") {
+      value = this.parseQuotedScalar();
+    } else if (ch === '*') {
+      value = this.parseAlias();
+    } else if (',]}'.includes(ch) || (ch === ':' && this.isBlankOrEndAt(1))) {
+      value = null;
+    } else {
+      const text = this.readPlainLine(true);
+      value = props.tag === null ? resolvePlainScalar(text) : text;
+    }
+
+    return this.finishNode(value, props);
+  }
+}
+
+/**
+ * Parse every document of a YAML stream, with source locations
+ * @param {string} content - YAML source text
+ * @returns {array} One {data, locations, comments} entry per document; `locations`
+ *   maps key paths to {line, column, endLine, endColumn, valueLine, valueColumn} and
+ *   `comments` lists the comments up to the end of the document as
+ *   {text, line, column}, `text` starting with `#`
+ * @throws {SyntaxError} With line and column properties if the YAML is invalid
+ */
+function parseYamlStream(content) {
+  return new YamlParser(content).parseStream();
+}
+
+/**
+ * Parse every document of a YAML stream
+ * @param {string} content - YAML source text
+ * @returns {array} One entry per document
+ * @throws {SyntaxError} With line and column properties if the YAML is invalid
+ */
+function parseYamlDocuments(content) {
+  return parseYamlStream(content).map((document) => document.data);
+}
+
+/**
+ * Parse a single-document YAML string
+ * @param {string} content - YAML source text
+ * @returns {any} The first document, or null for an empty stream
+ * @throws {SyntaxError} If the YAML is invalid
+ */
+function parseYaml(content) {
+  const documents = parseYamlDocuments(content);
+  return documents.length > 0 ? documents[0] : null;
+}
+
+module.exports = {
+  parseYaml,
+  parseYamlDocuments,
+  parseYamlStream,
+  resolvePlainScalar,
+};